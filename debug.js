@@ -0,0 +1,3 @@
+require('./index.js');
+require('./dist/zingtouch-debug.min.js');
+module.exports = ZingTouch.debug;
@@ -7,9 +7,11 @@ import Region from './core/classes/Region.js';
 import Gesture from './gestures/Gesture.js';
 import Pan from './gestures/Pan.js';
 import Pinch from './gestures/Pinch.js';
+import Press from './gestures/Press.js';
 import Rotate from './gestures/Rotate.js';
 import Swipe from './gestures/Swipe.js';
 import Tap from './gestures/Tap.js';
+import Transform from './gestures/Transform.js';
 
 /**
  * The global API interface for ZingTouch. Contains a constructor for the
@@ -19,20 +21,82 @@ import Tap from './gestures/Tap.js';
  */
 let ZingTouch = {
   _regions: [],
+  _nextRegionId: 0,
 
   // Constructors
   Gesture: Gesture,
   Pan: Pan,
   Pinch: Pinch,
+  Press: Press,
   Rotate: Rotate,
   Swipe: Swipe,
   Tap: Tap,
+  Transform: Transform,
+
   Region: function(element, capture, preventDefault) {
-    let id = ZingTouch._regions.length;
-    let region = new Region(element, capture, preventDefault, id);
+    let id = ZingTouch._nextRegionId++;
+    let region = new Region(element, capture, preventDefault, id,
+      removeRegion);
+    if (!hasEventPrefix(capture) &&
+      ZingTouch._regions.some((other) => overlaps(region, other))) {
+      region.state.eventPrefix = 'zt' + id + ':';
+    }
+
     ZingTouch._regions.push(region);
     return region;
   },
 };
 
+/**
+ * Determines if the options of a region specify the prefix of its events.
+ * @param {boolean|String|Object} [capture] - The options of the region, if an
+ *  object.
+ * @return {Boolean}
+ */
+function hasEventPrefix(capture) {
+  return capture !== null && typeof capture === 'object' &&
+    typeof capture.eventPrefix === 'string';
+}
+
+/**
+ * Determines if two regions share an element or one is nested in the other,
+ * while emitting events with the same prefix. Their events would then bubble
+ * through each other's elements under the same names, so the newer region is
+ * given a prefix of its own.
+ * @param {Region} region
+ * @param {Region} other
+ * @return {Boolean}
+ */
+function overlaps(region, other) {
+  if (region.state.eventPrefix !== other.state.eventPrefix) {
+    return false;
+  }
+
+  return contains(region.element, other.element) ||
+    contains(other.element, region.element);
+}
+
+/**
+ * Determines if an element is or contains another, where either may be the
+ * window.
+ * @param {Element|Window} element
+ * @param {Element|Window} other
+ * @return {Boolean}
+ */
+function contains(element, other) {
+  return element === other || (typeof element.contains === 'function' &&
+    other instanceof Node && element.contains(other));
+}
+
+/**
+ * Stops tracking a region once it is destroyed.
+ * @param {Region} region - The destroyed region.
+ */
+function removeRegion(region) {
+  const index = ZingTouch._regions.indexOf(region);
+  if (index !== -1) {
+    ZingTouch._regions.splice(index, 1);
+  }
+}
+
 export default ZingTouch;
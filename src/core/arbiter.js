@@ -14,6 +14,7 @@ import util from './util.js';
  * 2. Determining which gestures are linked to the target element.
  * 3. Negotiating with the Interpreter what event should occur.
  * 4. Sending events to the dispatcher to emit events to the target.
+ * 5. Scheduling any ticks the gestures have requested.
  * @param {Event} event - The event emitted from the window object.
  * @param {Object} region - The region object of the current listener.
  */
@@ -30,6 +31,16 @@ function arbiter(event, region) {
     return;
   }
 
+  if (region.recorder) {
+    region.recorder.record(event);
+  }
+
+  // A new gesture stops any gesture carrying on without inputs.
+  if (state.inputs.length === 0) {
+    interrupt(region);
+    state.releaseDelegates();
+  }
+
   /*
    Check for 'stale' or events that lost focus
    (e.g. a pan goes off screen/off region.)
@@ -37,50 +48,73 @@ function arbiter(event, region) {
    */
   if (typeof event.buttons !== 'undefined' &&
     eventType !== 'end' &&
+    eventType !== 'cancel' &&
     event.buttons === 0) {
-    state.resetInputs();
+    cancel(region, 'stale buttons');
     return;
   }
 
-  // Update the state with the new events. If the event is stopped, return;
-  if (!state.updateInputs(event, region.element)) {
+  /*
+   Update the state with the new events. If the event is invalid, the gesture
+   in progress is cancelled.
+   */
+  if (!state.updateInputs(event, region.element, region.pointerCapture)) {
+    cancel(region, state.invalidReason);
+    return;
+  }
+
+  state.trace('input', {
+    event: event,
+    inputs: state.inputs.map((input) => {
+      return {
+        identifier: input.identifier,
+        type: input.getCurrentEventType(),
+        x: input.current.x,
+        y: input.current.y,
+      };
+    }),
+  });
+  if (region.overlay) {
+    region.overlay.track(state.inputs);
+  }
+
+  if (eventType === 'start') {
+    state.resolveDelegates(event.target);
+    if (region.pointerCapture) {
+      region.capturePointer(event);
+    }
+  }
+
+  // The browser has interrupted one of the inputs (e.g. touchcancel).
+  if (eventType === 'cancel') {
+    if (state.inputs.some((input) => {
+      return input.getCurrentEventType() === 'cancel';
+    })) {
+      cancel(region, 'cancelled');
+    }
     return;
   }
 
   // Retrieve the initial target from any one of the inputs
   const bindings = state.retrieveBindingsByInitialPos();
+  state.trace('match', {bindings: bindings});
+  const path = util.getPropagationPath(event);
+  let gestures = [];
   if (bindings.length > 0) {
-    if (region.preventDefault) {
-      util.setMSPreventDefault(region.element);
+    gestures = interpreter(bindings, eventType, state);
+
+    // Only prevent the browser's default behaviour while a gesture claims it.
+    if (region.preventDefault && bindings.some((binding) => {
+      return claims(binding, eventType, state);
+    })) {
       util.preventDefault(event);
-    } else {
-      util.removeMSPreventDefault(region.element);
     }
+  }
 
-    const toBeDispatched = {};
-    const gestures = interpreter(bindings, event, state);
+  dispatch(region, negotiate(state, dedup(state, path, gestures)));
+  endPhase(region, 'ended');
 
-    /* Determine the deepest path index to emit the event
-     from, to avoid duplicate events being fired. */
-
-    const path = util.getPropagationPath(event);
-    gestures.forEach((gesture) => {
-      const id = gesture.binding.gesture.getId();
-      if (toBeDispatched[id]) {
-        if (util.getPathIndex(path, gesture.binding.element) <
-          util.getPathIndex(path, toBeDispatched[id].binding.element)) {
-          toBeDispatched[id] = gesture;
-        }
-      } else {
-        toBeDispatched[id] = gesture;
-      }
-    });
-
-    Object.keys(toBeDispatched).forEach((index) => {
-      const gesture = toBeDispatched[index];
-      dispatcher(gesture.binding, gesture.data, gesture.events);
-    });
-  }
+  scheduleTicks(region, path);
 
   let endCount = 0;
   state.inputs.forEach((input) => {
@@ -91,7 +125,299 @@ function arbiter(event, region) {
 
   if (endCount === state.inputs.length) {
     state.resetInputs();
+    state.trace('reset', {reason: 'ended'});
+    region.releasePointer();
+  }
+}
+
+/**
+ * Determines if a binding claims the inputs from the browser. It does not if
+ * its gesture does not, or if the inputs make a movement that the binding's
+ * touch-action leaves to the browser (e.g. a vertical pan on an element with
+ * touch-action: pan-y). Inputs from a mouse are always claimed.
+ * @param {Binding} binding - The binding bound under the inputs.
+ * @param {String} eventType - The normalized event type.
+ * @param {Object} state - The state object of the current listener.
+ * @return {Boolean} - true if the default behaviour is to be prevented.
+ */
+function claims(binding, eventType, state) {
+  if (!binding.gesture.claims(state.inputs, state, binding.element)) {
+    return false;
+  }
+
+  const allowed = util.parseTouchAction(binding.touchAction);
+  const inputs = state.inputs;
+  const event = inputs[0].current.originalEvent;
+  if (allowed.length === 0 || event.type.indexOf('mouse') === 0 ||
+    event.pointerType === 'mouse') {
+    return true;
+  }
+
+  if (inputs.length > 1) {
+    return allowed.indexOf('pinch-zoom') === -1;
+  }
+
+  const input = inputs[0];
+  if (input.current.x === input.initial.x &&
+    input.current.y === input.initial.y) {
+    // The browser may still pan, unless the input has ended without moving.
+    return eventType === 'end' || !allowed.some((behaviour) => {
+      return behaviour.indexOf('pan-') === 0;
+    });
+  }
+
+  const direction = util.getDirection(input.initial.x, input.initial.y,
+    input.current.x, input.current.y);
+  return allowed.indexOf('pan-' + direction) === -1;
+}
+
+/**
+ * Retrieves the index of a binding in the propagation path of an event, the
+ * lowest being the deepest. A virtual target lies just above its element.
+ * @param {Array} path - The propagation path of the event.
+ * @param {Binding} binding
+ * @return {Number}
+ */
+function getDepth(path, binding) {
+  const index = util.getPathIndex(path, binding.element);
+  return (binding.target) ? index - 0.5 : index;
+}
+
+/**
+ * Keeps a single candidate for each gesture, from the binding that is the
+ * deepest in the propagation path of the event, to avoid duplicate events
+ * being fired. Virtual targets are deeper than the element they are drawn
+ * on, and the first bound wins a tie.
+ * @param {Object} state - The state object of the current listener.
+ * @param {Array} path - The propagation path of the event.
+ * @param {Array} candidates - The candidates, each holding the binding it is
+ *  for (e.g. the gestures recognized by the interpreter, or requested ticks).
+ * @return {Array} - The candidates that are kept.
+ */
+function dedup(state, path, candidates) {
+  const kept = {};
+  candidates.forEach((candidate) => {
+    const id = candidate.binding.gesture.getId();
+    const other = kept[id];
+    if (!other) {
+      kept[id] = candidate;
+    } else if (getDepth(path, candidate.binding) <
+      getDepth(path, other.binding)) {
+      kept[id] = candidate;
+      state.trace('dedup', {kept: candidate.binding, dropped: other.binding});
+    } else {
+      state.trace('dedup', {kept: other.binding, dropped: candidate.binding});
+    }
+  });
+
+  return Object.keys(kept).map((id) => kept[id]);
+}
+
+/**
+ * Starts a timer for every tick that gestures have requested since the last
+ * time the region was negotiated with. Ticks allow gestures to emit without
+ * waiting for another input event (e.g. a Press reaching its duration).
+ * Ticks requested during an event go through the same dedup as its
+ * candidates, such that nested bindings to a gesture do not tick twice.
+ * @param {Object} region - The region object of the current listener.
+ * @param {Array} [path] - The propagation path of the event the ticks were
+ *  requested during, if any.
+ */
+function scheduleTicks(region, path) {
+  const state = region.state;
+  if (path) {
+    const requested = state.ticks.filter((tick) => tick.handle === null);
+    const kept = dedup(state, path, requested);
+    requested.forEach((tick) => {
+      if (kept.indexOf(tick) === -1) {
+        state.cancelTick(tick.binding);
+      }
+    });
+  }
+
+  const ticks = state.ticks;
+  ticks.forEach((tick) => {
+    if (tick.handle === null) {
+      const callback = () => {
+        if (ticks.indexOf(tick) !== -1) {
+          ticks.splice(ticks.indexOf(tick), 1);
+        }
+        fireTick(region, tick.binding);
+      };
+      tick.handle = (tick.frame) ?
+        state.clock.requestAnimationFrame(callback) :
+        state.clock.setTimeout(callback, tick.delay);
+    }
+  });
+}
+
+/**
+ * Calls the tick hook of the gesture that requested it, dispatching the
+ * result as it would for any other hook.
+ * @param {Object} region - The region object of the current listener.
+ * @param {Binding} binding - The binding whose gesture requested the tick.
+ */
+function fireTick(region, binding) {
+  const gestures = interpreter([binding], 'tick', region.state);
+  dispatch(region, negotiate(region.state, gestures));
+  endPhase(region, 'ended', [binding]);
+  scheduleTicks(region);
+}
+
+/**
+ * Dispatches the candidates, reporting the phase of each binding's gesture.
+ * Data emitted from an end hook ends the gesture, as does data emitted from a
+ * tick after which the gesture is no longer possible (e.g. a Press reaching
+ * its duration). Data emitted from any other hook either begins the gesture
+ * or changes the one in progress.
+ * @param {Object} region - The region object of the current listener.
+ * @param {Array} gestures - The candidates to dispatch.
+ */
+function dispatch(region, gestures) {
+  const state = region.state;
+  gestures.forEach((gesture) => {
+    const binding = gesture.binding;
+    if (gesture.type === 'end' || (gesture.type === 'tick' &&
+      !binding.gesture.isPossible(state.inputs, state, binding.element,
+        binding))) {
+      gesture.data.phase = 'ended';
+      binding.inProgress = false;
+      binding.lastData = null;
+    } else if (gesture.type === 'cancel') {
+      gesture.data.phase = 'cancelled';
+      binding.inProgress = false;
+      binding.lastData = null;
+    } else {
+      gesture.data.phase = (binding.inProgress) ? 'changed' : 'began';
+      binding.inProgress = true;
+      binding.lastData = gesture.data;
+    }
+    emit(region, binding, gesture.data, gesture.events);
+  });
+}
+
+/**
+ * Emits data through the dispatcher, then removes the binding if it was
+ * bound once, along with the delegated binding it was resolved from.
+ * @param {Object} region - The region object of the current listener.
+ * @param {Binding} binding - The binding to emit to.
+ * @param {Object} data - The metadata computed by the gesture being emitted.
+ * @param {Array} events - The ZingEvents of the inputs on the screen.
+ */
+function emit(region, binding, data, events) {
+  region.state.trace('dispatch', {
+    binding: binding,
+    eventName: binding.eventName,
+    data: data,
+  });
+  dispatcher(binding, data, events, region.phaseEvents);
+  if (region.overlay) {
+    region.overlay.emitted(binding, data);
+  }
+  if (binding.bindOnce) {
+    region.state.removeBinding(binding.delegate || binding);
   }
 }
 
+/**
+ * Emits the final phase for every binding whose gesture is still in progress.
+ * e.g. a Pan that has moved ends when its inputs leave the screen, even though
+ * Pan.end() does not emit. A gesture that is still possible after some of its
+ * inputs ended (e.g. a Transform with three inputs losing one) carries on.
+ * A gesture that failed rather than completed (e.g. a Press moving too far)
+ * is cancelled instead. The final phase is emitted with the data last emitted
+ * for the binding.
+ * @param {Object} region - The region object of the current listener.
+ * @param {String} phase - The final phase ( ended | cancelled ).
+ * @param {Array} [bindings] - The bindings to end, or all of the region's
+ *  bindings if not specified.
+ */
+function endPhase(region, phase, bindings) {
+  const state = region.state;
+  const events = state.inputs.map((input) => input.current);
+  (bindings || state.bindings.slice()).forEach((binding) => {
+    if (binding.inProgress && (phase === 'cancelled' ||
+      !binding.gesture.isPossible(state.inputs, state, binding.element,
+        binding))) {
+      const failed = binding.gesture.hasFailed(state.inputs, state,
+        binding.element, binding);
+      const data = Object.assign({}, binding.lastData, {
+        phase: (failed) ? 'cancelled' : phase,
+      });
+      binding.inProgress = false;
+      binding.lastData = null;
+      emit(region, binding, data, events);
+    }
+  });
+}
+
+/**
+ * Stops the gestures still in progress once a new input starts on the region.
+ * These carry on without inputs (e.g. a Pan with momentum), and have their
+ * cancel hook called to stop, after which they end.
+ * @param {Object} region - The region object of the current listener.
+ */
+function interrupt(region) {
+  const state = region.state;
+  const bindings = state.bindings.filter((binding) => binding.inProgress);
+  bindings.forEach((binding) => {
+    binding.gesture.cancel(state.inputs, state, binding.element, binding);
+  });
+  endPhase(region, 'ended', bindings);
+}
+
+/**
+ * Cancels the gestures in progress and resets the inputs, e.g. when the
+ * browser interrupts an input, an input leaves the region, or a previous
+ * gesture was not cleaned up properly. Every gesture bound under the inputs
+ * has its cancel hook called, and data returned by a gesture in progress is
+ * emitted with its cancelled phase. Candidates held back are dropped.
+ * @param {Object} region - The region object of the current listener.
+ * @param {String} reason - Why the inputs are reset. @see State.trace
+ */
+function cancel(region, reason) {
+  const state = region.state;
+  const bindings = state.retrieveBindingsByInitialPos();
+  const gestures = interpreter(bindings, 'cancel', state);
+  dispatch(region, gestures.filter((gesture) => gesture.binding.inProgress));
+  endPhase(region, 'cancelled');
+  state.held = [];
+  state.resetInputs();
+  state.trace('reset', {reason: reason});
+  region.releasePointer();
+}
+
+/**
+ * Resolves the gestures that bindings require to fail before they are emitted.
+ * Candidates whose required gestures were recognized in this pass are dropped,
+ * and candidates whose required gestures are still possible are held back in
+ * the state until a later pass. Previously held candidates are released in
+ * the order they were recognized.
+ * @param {Object} state - The state object of the current listener.
+ * @param {Array} gestures - The candidates recognized in this pass.
+ * @return {Array} - The candidates to dispatch.
+ */
+function negotiate(state, gestures) {
+  const recognized = gestures.map((gesture) => gesture.binding.gesture);
+  const candidates = state.held.concat(gestures);
+  state.held = [];
+
+  return candidates.filter((candidate) => {
+    const required = state.retrieveRequiredFailures(candidate.binding);
+
+    if (required.some((gesture) => recognized.indexOf(gesture) !== -1)) {
+      state.trace('negotiate', {binding: candidate.binding, result: 'dropped'});
+      return false;
+    }
+
+    if (required.some((gesture) => state.isGesturePossible(gesture))) {
+      state.held.push(candidate);
+      state.trace('negotiate', {binding: candidate.binding, result: 'held'});
+      return false;
+    }
+
+    return true;
+  });
+}
+
 export default arbiter;
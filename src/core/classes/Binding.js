@@ -2,6 +2,10 @@
  * @file Binding.js
  */
 
+import util from './../util.js';
+
+const HIT_TESTS = ['rect', 'circle', 'shape'];
+
 /**
  * Responsible for creating a binding between an element and a gesture.
  * @class Binding
@@ -14,13 +18,31 @@ class Binding {
    * @param {Function} handler - The function handler to execute when a
    * gesture is recognized
    * on the associated element.
-   * @param {Boolean} [capture=false] - A boolean signifying if the event is
-   * to be emitted during
-   * the capture or bubble phase.
+   * @param {Boolean|Object} [capture=false] - A boolean signifying if the
+   * event is to be emitted during the capture or bubble phase, or an
+   * options object.
+   * @param {Boolean} [capture.capture=false] - A boolean signifying if the
+   * event is to be emitted during the capture or bubble phase.
+   * @param {String} [capture.touchAction] - The CSS touch-action listing the
+   * browser behaviours left to the browser on the element. Defaults to the
+   * gesture's touch-action.
+   * @param {Boolean} [capture.once=false] - Whether the binding is removed
+   * once the gesture has been emitted for the first time.
+   * @param {Boolean} [capture.passive=false] - Whether the handler is added
+   * as a passive listener, which never cancels the emitted event.
+   * @param {AbortSignal} [capture.signal] - A signal removing the binding
+   * when it is aborted.
+   * @param {String} [capture.hitTest='rect'] - How inputs are tested to be
+   * on the element ( rect | circle | shape ). @see util.isInside
    * @param {Boolean} [bindOnce=false] - A boolean flag
    * used for the bindOnce syntax.
    */
   constructor(element, gesture, handler, capture, bindOnce) {
+    const options = (capture !== null && typeof capture === 'object') ?
+      capture : {capture: capture};
+    capture = options.capture;
+    bindOnce = bindOnce || options.once;
+
     /**
      * The element to associate the gesture to.
      * @type {Element}
@@ -33,8 +55,9 @@ class Binding {
     this.gesture = gesture;
     /**
      * The function handler to execute when a gesture is
-     * recognized on the associated element.
-     * @type {Function}
+     * recognized on the associated element. Optional for a gesture emitted
+     * to its callbacks.
+     * @type {Function|undefined}
      */
     this.handler = handler;
 
@@ -45,11 +68,152 @@ class Binding {
      */
     this.capture = (typeof capture !== 'undefined') ? capture : false;
 
+    /**
+     * The CSS touch-action listing the browser behaviours (e.g. 'pan-y' or
+     * 'pinch-zoom') left to the browser on the element. The gesture does not
+     * claim inputs that the browser handles.
+     * @type {String}
+     */
+    this.touchAction = (options.touchAction) ?
+      options.touchAction : gesture.getTouchAction();
+
     /**
      * A boolean flag used for the bindOnce syntax.
      * @type {Boolean}
      */
     this.bindOnce = (typeof bindOnce !== 'undefined') ? bindOnce : false;
+
+    /**
+     * Whether the handler is added as a passive listener.
+     * @type {Boolean}
+     */
+    this.passive = (options.passive) ? options.passive : false;
+
+    /**
+     * The signal removing the binding when it is aborted, if any.
+     * @type {AbortSignal}
+     */
+    this.signal = (options.signal) ? options.signal : null;
+
+    if (options.hitTest && HIT_TESTS.indexOf(options.hitTest) === -1) {
+      throw new Error('Parameter ' + options.hitTest +
+        ' is not a hit-test mode');
+    }
+
+    /**
+     * How inputs are tested to be on the element: within its bounding
+     * rectangle, the circle inscribed in it, or its shape.
+     * @type {String}
+     */
+    this.hitTest = (options.hitTest) ? options.hitTest : 'rect';
+
+    /**
+     * The listener removing the binding from its State once the signal is
+     * aborted. Set by the State the binding is added to.
+     * @type {Function}
+     */
+    this.abortListener = null;
+
+    /**
+     * The name of the DOM events emitted for the binding (e.g. 'zt:pan').
+     * Set by the State the binding is added to.
+     * @type {String}
+     */
+    this.eventName = null;
+
+    /**
+     * The listener calling the handler for the binding's own gesture events.
+     * Set by the State the binding is added to.
+     * @type {Function}
+     */
+    this.listener = null;
+
+    /**
+     * The CSS selector of a delegated binding, whose element is the root the
+     * selector is matched within. null for a binding to a single element.
+     * @type {String}
+     */
+    this.selector = null;
+
+    /**
+     * The delegated binding this binding was created from, for the element
+     * matching its selector when a gesture started. null otherwise.
+     * @type {Binding}
+     */
+    this.delegate = null;
+
+    /**
+     * The virtual target of the binding (e.g. a shape drawn on a canvas),
+     * whose element is the element the target is drawn on. Inputs starting
+     * on the element are matched with the target's hitTest function. null
+     * for a binding to the element itself.
+     * @type {Object}
+     */
+    this.target = null;
+
+    /**
+     * The gestures that have to fail before this binding's gesture
+     * is emitted. Either registered gesture keys, or Gesture objects.
+     * @type {Array}
+     */
+    this.requiredFailures = [];
+
+    /**
+     * Whether the gesture has begun and not yet ended on this binding.
+     * Maintained by the arbiter to report the phase of each emitted gesture.
+     * @type {Boolean}
+     */
+    this.inProgress = false;
+
+    /**
+     * The data last emitted for the gesture in progress, which its final
+     * phase is reported with when no hook emits it (e.g. a Pan ending as its
+     * inputs leave the screen). Maintained by the arbiter.
+     * @type {Object}
+     */
+    this.lastData = null;
+
+    /**
+     * The progress of the gesture on this binding, kept apart from other
+     * bindings to the same gesture (e.g. the time a Press started being held).
+     * Maintained by the gesture's hooks.
+     * @type {Object}
+     */
+    this.progress = {};
+  }
+
+  /**
+   * Declares that this binding's gesture waits until another gesture has
+   * failed before it is emitted. Its events are held back while the other
+   * gesture is still possible, and dropped if the other gesture is recognized.
+   * @example
+   * region.bind(element, singleTap, handler).requireFailureOf(doubleTap);
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @return {Binding} - Returns 'this' to be chained.
+   */
+  requireFailureOf(gesture) {
+    this.requiredFailures.push(gesture);
+    return this;
+  }
+
+  /**
+   * Determines whether a position is on the binding: on its element by its
+   * hit-test mode, and on its virtual target if it has one.
+   * @param {Number} x - The client X coordinate.
+   * @param {Number} y - The client Y coordinate.
+   * @return {Boolean}
+   */
+  hits(x, y) {
+    if (!util.isInside(x, y, this.element, this.hitTest)) {
+      return false;
+    }
+
+    if (!this.target) {
+      return true;
+    }
+
+    const local = util.getLocalPosition(x, y, this.element);
+    return !!this.target.hitTest(local.x, local.y);
   }
 
 }
@@ -17,9 +17,10 @@ class Input {
    * @param {Event} event - The Event object from the window
    * @param {Number} [identifier=0] - The identifier for each input event
    * (taken from event.changedTouches)
+   * @param {Number} [time] - The time of the event. @see ZingEvent
    */
-  constructor(event, identifier) {
-    let currentEvent = new ZingEvent(event, identifier);
+  constructor(event, identifier, time) {
+    let currentEvent = new ZingEvent(event, identifier, time);
 
     /**
      * Holds the initial event object. A touchstart/mousedown event.
@@ -54,16 +55,25 @@ class Input {
      * @type {Object}
      */
     this.progress = {};
+
+    /**
+     * Whether the input started on each binding it was tested against, as
+     * tested from its initial event. Each entry holds the binding and the
+     * result. @see State.isInputOn
+     * @type {Array}
+     */
+    this.hits = [];
   }
 
   /**
    * Receives an input, updates the internal state of what the input has done.
    * @param {Event} event - The event object to wrap with a ZingEvent.
    * @param {Number} touchIdentifier - The index of inputs, from event.touches
+   * @param {Number} [time] - The time of the event. @see ZingEvent
    */
-  update(event, touchIdentifier) {
+  update(event, touchIdentifier, time) {
     this.previous = this.current;
-    this.current = new ZingEvent(event, touchIdentifier);
+    this.current = new ZingEvent(event, touchIdentifier, time);
   }
 
   /**
@@ -81,7 +91,7 @@ class Input {
 
   /**
    * Returns the normalized current Event's type.
-   * @return {String} The current event's type ( start | move | end )
+   * @return {String} The current event's type ( start | move | end | cancel )
    */
   getCurrentEventType() {
     return this.current.type;
@@ -0,0 +1,145 @@
+/**
+ * @file Recorder.js
+ * Contains the Recorder class
+ */
+
+const TRACE_VERSION = 1;
+
+/**
+ * Records the input events a Region receives as a trace, which can be
+ * exported as JSON and replayed with Region.replay (e.g. to reproduce a
+ * gesture that is not recognized on a user's device). Each event holds its
+ * time since the first event, its type, and the position of each input it
+ * changed, relative to the region element.
+ * @example
+ * const recorder = region.record();
+ * // ...
+ * const json = JSON.stringify(recorder.stop());
+ * @class Recorder
+ */
+class Recorder {
+  /**
+   * Constructor function for the Recorder class.
+   * @param {Region} region - The region to record.
+   */
+  constructor(region) {
+    /**
+     * The region being recorded.
+     * @type {Region}
+     */
+    this.region = region;
+
+    /**
+     * Whether events are still being recorded.
+     * @type {Boolean}
+     */
+    this.recording = true;
+
+    /**
+     * The time of the first event, from which the events are timed.
+     * @type {Number|null}
+     */
+    this.startTime = null;
+
+    /**
+     * The position of the region element when the first event was recorded,
+     * from which the inputs are positioned.
+     * @type {Object|null}
+     */
+    this.origin = null;
+
+    /**
+     * The recorded trace.
+     * @type {Object}
+     */
+    this.trace = {
+      version: TRACE_VERSION,
+      userAgent: (window.navigator) ? window.navigator.userAgent : '',
+      region: null,
+      events: [],
+    };
+  }
+
+  /**
+   * The version of the traces written by the Recorder.
+   * @type {Number}
+   */
+  static get version() {
+    return TRACE_VERSION;
+  }
+
+  /**
+   * Records an event received by the region. Called from the arbiter.
+   * @param {Event} event - The browser event.
+   */
+  record(event) {
+    if (!this.recording) {
+      return;
+    }
+
+    const time = this.region.state.clock.now(event);
+    if (this.startTime === null) {
+      const rect = this.region.element.getBoundingClientRect();
+      this.startTime = time;
+      this.origin = {x: rect.left, y: rect.top};
+      this.trace.region = {width: rect.width, height: rect.height};
+    }
+
+    const points = (event.changedTouches) ?
+      Array.from(event.changedTouches) : [event];
+    const entry = {
+      time: time - this.startTime,
+      type: event.type,
+      pointerType: getPointerType(event),
+      inputs: points.map((point) => {
+        return {
+          identifier: (typeof point.identifier !== 'undefined') ?
+            point.identifier : event.pointerId,
+          x: point.clientX - this.origin.x,
+          y: point.clientY - this.origin.y,
+        };
+      }),
+    };
+    if (typeof event.buttons !== 'undefined') {
+      entry.buttons = event.buttons;
+    }
+
+    this.trace.events.push(entry);
+  }
+
+  /**
+   * Stops recording.
+   * @return {Object} - The recorded trace.
+   */
+  stop() {
+    this.recording = false;
+    if (this.region.recorder === this) {
+      this.region.recorder = null;
+    }
+    return this.trace;
+  }
+
+  /**
+   * Returns the trace, such that the recorder can be passed to
+   * JSON.stringify.
+   * @return {Object} - The recorded trace.
+   */
+  toJSON() {
+    return this.trace;
+  }
+}
+
+/**
+ * Retrieves the kind of input of an event.
+ * @param {Event} event
+ * @return {String} - ( touch | mouse | pen )
+ */
+function getPointerType(event) {
+  if (event.pointerType) {
+    return event.pointerType;
+  }
+
+  return (event.type.indexOf('touch') === 0) ? 'touch' : 'mouse';
+}
+
+export default Recorder;
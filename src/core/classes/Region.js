@@ -5,7 +5,11 @@
 import Binder from './Binder.js';
 import Gesture from './../../gestures/Gesture.js';
 import arbiter from './../arbiter.js';
+import Recorder from './Recorder.js';
+import replay from './../replay.js';
 import State from './State.js';
+import Stream from './Stream.js';
+import util from './../util.js';
 
 /**
  * Allows the user to specify a region to capture all events to feed ZingTouch
@@ -22,13 +26,38 @@ class Region {
    * Constructor function for the Region class.
    * @param {Element} element - The element to capture all
    *  window events in that region to feed into ZingTouch.
-   * @param {boolean} [capture=false] - Whether the region listens for
-   *  captures or bubbles.
+   * @param {boolean|String|Object} [capture=false] - Whether the region
+   *  listens for captures or bubbles, 'pointer' to keep tracking inputs that
+   *  leave the region, or an options object.
+   * @param {boolean|String} [capture.capture=false] - Whether the region
+   *  listens for captures or bubbles, or 'pointer'.
+   * @param {boolean} [capture.preventDefault=true] - Whether the default
+   *  browser functionality should be disabled for the inputs claimed by
+   *  gestures, and the touch-action of bound elements managed.
+   * @param {boolean} [capture.phaseEvents=false] - Whether gestures also emit
+   *  a separate event for each phase (e.g. 'zt:pan:start' and 'zt:pan:end').
+   * @param {String} [capture.eventPrefix='zt:'] - The prefix of the DOM
+   *  events emitted for gestures, which are named after the gesture's type.
+   *  ZingTouch.Region gives a region nested in another one a prefix of its
+   *  own by default (e.g. 'zt1:').
+   * @param {Object} [capture.clock] - The clock scheduling the ticks of
+   *  gestures, such as a testing Clock. Defaults to the browser's timers.
+   * @param {String} [capture.targetResolution='hit'] - How the bindings
+   *  under the inputs are resolved: from the element the browser hit and its
+   *  ancestors ('hit'), or from the bounding rectangles of the bound
+   *  elements ('rect').
    * @param {boolean} [preventDefault=true] - Whether the default browser
    *  functionality should be disabled;
    * @param {Number} id - The id of the region, assigned by the ZingTouch object
+   * @param {Function} [onDestroy] - Called with the region once it is
+   *  destroyed, such that the ZingTouch object stops tracking it.
    */
-  constructor(element, capture, preventDefault, id) {
+  constructor(element, capture, preventDefault, id, onDestroy) {
+    const options = (capture !== null && typeof capture === 'object') ?
+      capture : {capture: capture, preventDefault: preventDefault};
+    capture = options.capture;
+    preventDefault = options.preventDefault;
+
     /**
      * The identifier for the Region. This is assigned by the ZingTouch object
      * and is used to hash gesture id for uniqueness.
@@ -36,17 +65,31 @@ class Region {
      */
     this.id = id;
 
+    /**
+     * Called with the region once it is destroyed, if any.
+     * @type {Function}
+     */
+    this.onDestroy = (onDestroy) ? onDestroy : null;
+
     /**
      * The element being bound to.
      * @type {Element}
      */
     this.element = element;
 
+    /**
+     * Whether inputs starting in the region keep being tracked when they
+     * leave it, until they end.
+     * @type {boolean}
+     */
+    this.pointerCapture = (capture === 'pointer');
+
     /**
      * Whether the region listens for captures or bubbles.
      * @type {boolean}
      */
-    this.capture = (typeof capture !== 'undefined') ? capture : false;
+    this.capture = (typeof capture !== 'undefined' && !this.pointerCapture) ?
+      capture : false;
 
     /**
      * Boolean to disable browser functionality such as scrolling and zooming
@@ -56,12 +99,57 @@ class Region {
     this.preventDefault = (typeof preventDefault !== 'undefined') ?
       preventDefault : true;
 
+    /**
+     * Whether gestures also emit a separate event for each phase, named after
+     * the gesture's event and its phase ( start | move | end | cancel ).
+     * @type {boolean}
+     */
+    this.phaseEvents = (typeof options.phaseEvents !== 'undefined') ?
+      options.phaseEvents : false;
+
     /**
      * The internal state object for a Region.
      * Keeps track of registered gestures, inputs, and events.
      * @type {State}
      */
-    this.state = new State(id);
+    this.state = new State(id, this.preventDefault, options.eventPrefix,
+      options.clock, options.targetResolution);
+
+    /**
+     * Whether the region has been destroyed, after which it can
+     * no longer be used.
+     * @type {boolean}
+     */
+    this.destroyed = false;
+
+    /**
+     * The recorder the events received by the region are recorded with, if
+     * any.
+     * @type {Recorder|null}
+     */
+    this.recorder = null;
+
+    /**
+     * The promises of Region.once and the streams of Region.stream that have
+     * not settled yet. Each has a close method, called with an abort error
+     * once the region is destroyed.
+     * @type {Array}
+     */
+    this.waiting = [];
+
+    /**
+     * The replays started on the region, which are stopped once it is
+     * destroyed.
+     * @type {Array}
+     */
+    this.playbacks = [];
+
+    /**
+     * The debug overlay drawn for the region, if any. Attached by the
+     * zingtouch/debug entry.
+     * @type {Overlay|null}
+     */
+    this.overlay = null;
 
     let eventNames = [];
     if (window.PointerEvent && !window.TouchEvent) {
@@ -69,6 +157,8 @@ class Region {
         'pointerdown',
         'pointermove',
         'pointerup',
+        'pointercancel',
+        'lostpointercapture',
       ];
     } else {
       eventNames = [
@@ -78,15 +168,46 @@ class Region {
         'touchstart',
         'touchmove',
         'touchend',
+        'touchcancel',
       ];
     }
 
+    /**
+     * The browser events listened to on the region element.
+     * @type {Array}
+     */
+    this.eventNames = eventNames;
+
+    // The listener feeding browser events into the arbiter, kept to be
+    // removed when the region is destroyed.
+    this.listener = (e) => {
+      arbiter(e, this);
+    };
+
     // Bind detected browser events to the region element.
     eventNames.forEach((name) => {
-      element.addEventListener(name, (e) => {
-        arbiter(e, this);
-      }, this.capture);
+      element.addEventListener(name, this.listener, this.capture);
     });
+
+    /**
+     * The ids of the pointers captured to the region element.
+     * @type {Array}
+     */
+    this.capturedPointers = [];
+
+    /**
+     * Whether the region listens to the document for inputs that have left
+     * it, where pointers cannot be captured.
+     * @type {boolean}
+     */
+    this.capturingDocument = false;
+
+    // Feeds the events of inputs that have left the region into the arbiter.
+    this.documentListener = (e) => {
+      if (!this.element.contains(e.target)) {
+        arbiter(e, this);
+      }
+    };
   }
 
   /**
@@ -100,12 +221,16 @@ class Region {
    * @param {String|Object} [gesture] - Gesture key, or a Gesture object.
    * @param {Function} [handler] - The function to execute when an event is
    *  emitted.
-   * @param {Boolean} [capture] - capture/bubble
+   * @param {Boolean|Object} [capture] - capture/bubble, or the options of
+   *  the binding (capture, touchAction, once, passive and signal).
+   *  @see Binding
    * @param {Boolean} [bindOnce = false] - Option to bind once and
    *  only emit the event once.
-   * @return {Object} - a chainable object that has the same function as bind.
+   * @return {Object} - a chainable object that has the same function as bind,
+   *  or the Binding that was created if a gesture was provided.
    */
   bind(element, gesture, handler, capture, bindOnce) {
+    checkDestroyed(this);
     if (!element || (element && !element.tagName)) {
       throw 'Bind must contain an element';
     }
@@ -114,7 +239,8 @@ class Region {
     if (!gesture) {
       return new Binder(element, bindOnce, this.state);
     } else {
-      this.state.addBinding(element, gesture, handler, capture, bindOnce);
+      return this.state.addBinding(
+        element, gesture, handler, capture, bindOnce);
     }
   }
 
@@ -127,42 +253,159 @@ class Region {
    * @param {String|Object} gesture - Gesture key, or a Gesture object.
    * @param {Function} handler - The function to execute when an
    *  event is emitted.
-   * @param {Boolean} capture - capture/bubble
-   * @return {Object} - a chainable object that has the same function as bind.
+   * @param {Boolean|Object} capture - capture/bubble, or the options of
+   *  the binding (capture, touchAction, passive and signal). @see Binding
+   * @return {Object} - a chainable object that has the same function as bind,
+   *  or the Binding that was created if a gesture was provided.
    */
   bindOnce(element, gesture, handler, capture) {
-    this.bind(element, gesture, handler, capture, true);
+    return this.bind(element, gesture, handler, capture, true);
   }
 
+  /**
+   * Binds a gesture to a virtual target drawn on the region element, such
+   * as a shape on a canvas. Inputs starting on the region element are
+   * matched with the target's hitTest function, called with coordinates
+   * relative to the region element. The gesture is emitted on the region
+   * element and to the gesture's callbacks, with the target in its detail.
+   * When targets overlap, the one bound first receives the gesture.
+   * @example
+   * region.bindTarget({hitTest: (x, y) => x < 100}, 'tap', handler)
+   * @param {Object} target - The virtual target, with a hitTest function.
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @param {Function} [handler] - The function to execute when the gesture
+   *  is emitted for the target.
+   * @param {Boolean|Object} [capture] - capture/bubble, or the options of
+   *  the binding (capture, touchAction, once, passive and signal).
+   *  @see Binding
+   * @return {Binding} - The binding that was created.
+   */
+  bindTarget(target, gesture, handler, capture) {
+    checkDestroyed(this);
+    return this.state.addTarget(
+      this.element, target, gesture, handler, capture, false);
+  }
+
+  /**
+   * Awaits the next emission of a gesture on an element, binding it once.
+   * @example
+   * region.once(element, 'swipe').then((detail) => {})
+   * @param {Element} element - The element object.
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @param {Object} [options] - The options of the binding (capture,
+   *  touchAction, passive and signal). @see Binding
+   * @return {Promise} - Resolves with the detail of the emitted event, or
+   *  rejects with the abort error once the signal is aborted or the region
+   *  is destroyed, after which the binding is removed.
+   */
+  once(element, gesture, options) {
+    checkDestroyed(this);
+    const signal = (options && options.signal) ? options.signal : null;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(util.getAbortError(signal));
+        return;
+      }
+
+      const settle = () => {
+        this.waiting = this.waiting.filter((other) => other !== waiter);
+        if (signal) {
+          signal.removeEventListener('abort', abortListener);
+        }
+      };
+      const waiter = {
+        close: (error) => {
+          settle();
+          reject(error);
+        },
+      };
+      const abortListener = () => {
+        waiter.close(util.getAbortError(signal));
+      };
+      this.bindOnce(element, gesture, (event) => {
+        settle();
+        resolve(event.detail);
+      }, options);
+      this.waiting.push(waiter);
+      if (signal) {
+        signal.addEventListener('abort', abortListener);
+      }
+    });
+  }
+
+  /**
+   * Streams the emissions of a gesture on an element, as an async iterator.
+   * @example
+   * for await (const detail of region.stream(element, 'pan')) {}
+   * @param {Element} element - The element object.
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @param {Object} [options] - The options of the binding (capture,
+   *  touchAction, passive and signal). @see Binding
+   * @return {Stream} - The stream, whose binding is removed once it is
+   *  returned from or its signal is aborted. It is closed with an abort
+   *  error once the region is destroyed.
+   */
+  stream(element, gesture, options) {
+    checkDestroyed(this);
+    const stream = new Stream(this, element, gesture, options);
+    if (!stream.done) {
+      this.waiting.push(stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Binds a gesture to every element within the region that matches a CSS
+   * selector, including elements added to the region later on. The element
+   * is matched from the target of the inputs as the gesture starts, and the
+   * gesture is emitted on the matched element.
+   * @example
+   * region.delegate('li.row', 'tap', handler)
+   * @param {String} selector - The CSS selector of the elements.
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @param {Function} handler - The function to execute when an event is
+   *  emitted.
+   * @param {Boolean|Object} [capture] - capture/bubble, or the options of
+   *  the binding (capture, once, passive and signal). @see Binding
+   * @return {Binding} - The delegated binding that was created.
+   */
+  delegate(selector, gesture, handler, capture) {
+    checkDestroyed(this);
+    return this.state.addDelegate(
+      this.element, selector, gesture, handler, capture, false);
+  }
+
+  /* delegate*/
+
   /**
    * Unbinds an element from either the specified gesture
    *  or all if no element is specified.
-   * @param {Element} element -The element to remove.
+   * @param {Element|Object} element -The element to remove, or a virtual
+   *  target bound with Region.bindTarget.
    * @param {String | Object} [gesture] - A String representing the gesture,
    *   or the actual object being used.
+   * @param {Function} [handler] - The handler to unbind, or all of the
+   *   gesture's handlers if not specified.
    * @return {Array} - An array of Bindings that were unbound to the element;
    */
-  unbind(element, gesture) {
-    let bindings = this.state.retrieveBindingsByElement(element);
+  unbind(element, gesture, handler) {
+    checkDestroyed(this);
+    let bindings = (element && typeof element.hitTest === 'function') ?
+      this.state.retrieveBindingsByTarget(element) :
+      this.state.retrieveBindingsByElement(element);
     let unbound = [];
 
+    if (typeof gesture === 'string') {
+      gesture = this.state.registeredGestures[gesture] || null;
+      if (!gesture) {
+        return unbound;
+      }
+    }
+
     bindings.forEach((binding) => {
-      if (gesture) {
-        if (typeof gesture === 'string' &&
-          this.state.registeredGestures[gesture]) {
-          let registeredGesture = this.state.registeredGestures[gesture];
-          if (registeredGesture.id === binding.gesture.id) {
-            element.removeEventListener(
-              binding.gesture.getId(),
-              binding.handler, binding.capture);
-            unbound.push(binding);
-          }
-        }
-      } else {
-        element.removeEventListener(
-          binding.gesture.getId(),
-          binding.handler,
-          binding.capture);
+      if ((!gesture || gesture.id === binding.gesture.id) &&
+        (!handler || handler === binding.handler)) {
+        this.state.removeBinding(binding);
         unbound.push(binding);
       }
     });
@@ -178,6 +421,7 @@ class Region {
    * @param {Gesture} gesture - A gesture object
    */
   register(key, gesture) {
+    checkDestroyed(this);
     if (typeof key !== 'string') {
       throw new Error('Parameter key is an invalid string');
     }
@@ -202,10 +446,10 @@ class Region {
    *  or null if it could not be found.
    */
   unregister(key) {
-    this.state.bindings.forEach((binding) => {
+    checkDestroyed(this);
+    this.state.bindings.slice().forEach((binding) => {
       if (binding.gesture.getType() === key) {
-        binding.element.removeEventListener(binding.gesture.getId(),
-          binding.handler, binding.capture);
+        this.state.removeBinding(binding);
       }
     });
 
@@ -213,6 +457,200 @@ class Region {
     delete this.state.registeredGestures[key];
     return registeredGesture;
   }
+
+  /* unregister*/
+
+  /**
+   * Starts recording the input events the region receives, replacing any
+   * recording in progress. The trace can be exported as JSON once the
+   * recorder is stopped, and replayed with Region.replay.
+   * @example
+   * const recorder = region.record();
+   * // ...
+   * const trace = JSON.stringify(recorder.stop());
+   * @return {Recorder} - The recorder.
+   */
+  record() {
+    checkDestroyed(this);
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+
+    this.recorder = new Recorder(this);
+    return this.recorder;
+  }
+
+  /* record*/
+
+  /**
+   * Replays a trace recorded with Region.record on the region, feeding its
+   * events to the gestures at the times they were recorded.
+   * @param {Object|String} trace - The trace, or its JSON.
+   * @param {Object} [options] - The options object.
+   * @param {Number} [options.speed=1] - The factor the replay is sped up by,
+   *  without changing the timing measured by the gestures.
+   * @param {Function} [options.done] - Called once the replay is done.
+   * @return {Object} - The replay, which can be stopped with its cancel
+   *  method. It is stopped as well once the region is destroyed.
+   */
+  replay(trace, options) {
+    checkDestroyed(this);
+    const playback = replay(trace, this, options);
+    this.playbacks = this.playbacks.filter((other) => !other.finished);
+    this.playbacks.push(playback);
+    return playback;
+  }
+
+  /* replay*/
+
+  /**
+   * Hooks a function into the region. Functions hooked to 'trace' are called
+   * with a record of each stage of recognition, from the inputs being
+   * updated to a gesture being dispatched. @see State.trace
+   * @example
+   * region.on('trace', (record) => console.log(record.stage, record))
+   * @param {String} name - The name of the hook ( trace ).
+   * @param {Function} hook - The function to call.
+   */
+  on(name, hook) {
+    checkDestroyed(this);
+    checkHook(this, name, hook);
+    this.state.hooks[name].push(hook);
+  }
+
+  /* on*/
+
+  /**
+   * Removes a function hooked into the region with Region.on.
+   * @param {String} name - The name of the hook ( trace ).
+   * @param {Function} hook - The function to remove.
+   */
+  off(name, hook) {
+    checkDestroyed(this);
+    checkHook(this, name, hook);
+    this.state.hooks[name] = this.state.hooks[name].filter((other) => {
+      return other !== hook;
+    });
+  }
+
+  /* off*/
+
+  /**
+   * Keeps tracking a starting input once it leaves the region, by capturing
+   * its pointer to the region element, or listening to the document where
+   * pointers cannot be captured. Called by the arbiter in 'pointer' capture
+   * mode.
+   * @param {Event} event - The event starting the input.
+   */
+  capturePointer(event) {
+    if (typeof event.pointerId !== 'undefined' && event.isTrusted !== false &&
+      this.element.setPointerCapture) {
+      this.element.setPointerCapture(event.pointerId);
+      this.capturedPointers.push(event.pointerId);
+    } else if (!this.capturingDocument) {
+      getTrackingEvents(this.eventNames).forEach((name) => {
+        document.addEventListener(name, this.documentListener, false);
+      });
+      this.capturingDocument = true;
+    }
+  }
+
+  /* capturePointer*/
+
+  /**
+   * Stops tracking inputs outside of the region. Called by the arbiter once
+   * the inputs have been reset.
+   */
+  releasePointer() {
+    this.capturedPointers.forEach((pointerId) => {
+      if (this.element.hasPointerCapture &&
+        this.element.hasPointerCapture(pointerId)) {
+        this.element.releasePointerCapture(pointerId);
+      }
+    });
+    this.capturedPointers = [];
+
+    if (this.capturingDocument) {
+      getTrackingEvents(this.eventNames).forEach((name) => {
+        document.removeEventListener(name, this.documentListener, false);
+      });
+      this.capturingDocument = false;
+    }
+  }
+
+  /* releasePointer*/
+
+  /**
+   * Tears down the region: removes its listeners from the element, stops
+   * its recording and replays, rejects its pending promises and closes its
+   * streams, unbinds every binding, clears its state, and notifies the
+   * ZingTouch object that created it. Any further call on the region throws
+   * an error.
+   */
+  destroy() {
+    checkDestroyed(this);
+    this.eventNames.forEach((name) => {
+      this.element.removeEventListener(name, this.listener, this.capture);
+    });
+    this.releasePointer();
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+    this.playbacks.forEach((playback) => playback.cancel());
+    this.playbacks = [];
+    this.waiting.slice().forEach((waiter) => {
+      waiter.close(util.getAbortError());
+    });
+    if (this.overlay) {
+      this.overlay.destroy();
+    }
+
+    this.state.clear();
+
+    this.destroyed = true;
+    if (this.onDestroy) {
+      this.onDestroy(this);
+    }
+  }
+}
+
+/**
+ * Retrieves the events tracking inputs that have already started.
+ * @param {Array} eventNames - The browser events the region listens to.
+ * @return {Array} - The move, end and cancel events.
+ */
+function getTrackingEvents(eventNames) {
+  return eventNames.filter((name) => {
+    const type = util.normalizeEvent[name];
+    return type === 'move' || type === 'end' ||
+      (type === 'cancel' && name !== 'lostpointercapture');
+  });
+}
+
+/**
+ * Throws an error if a function cannot be hooked into the region.
+ * @param {Region} region - The region being hooked into.
+ * @param {String} name - The name of the hook.
+ * @param {Function} hook - The function to hook.
+ */
+function checkHook(region, name, hook) {
+  if (!region.state.hooks[name]) {
+    throw new Error('Parameter ' + name + ' is not a hook');
+  }
+
+  if (typeof hook !== 'function') {
+    throw new Error('Parameter hook is not a function');
+  }
+}
+
+/**
+ * Throws an error if the region has been destroyed.
+ * @param {Region} region - The region being called.
+ */
+function checkDestroyed(region) {
+  if (region.destroyed) {
+    throw new Error('Region ' + region.id + ' has been destroyed');
+  }
 }
 
 export default Region;
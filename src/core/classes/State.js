@@ -5,14 +5,19 @@
 import Gesture from './../../gestures/Gesture.js';
 import Pan from './../../gestures/Pan.js';
 import Pinch from './../../gestures/Pinch.js';
+import Press from './../../gestures/Press.js';
 import Rotate from './../../gestures/Rotate.js';
 import Swipe from './../../gestures/Swipe.js';
 import Tap from './../../gestures/Tap.js';
+import Transform from './../../gestures/Transform.js';
 import Binding from './Binding.js';
 import Input from './Input.js';
 import util from './../util.js';
+import defaultClock from './../clock.js';
 
 const DEFAULT_MOUSE_ID = 0;
+const DEFAULT_EVENT_PREFIX = 'zt:';
+const TARGET_RESOLUTIONS = ['hit', 'rect'];
 
 /**
  * Creates an object related to a Region's state,
@@ -23,14 +28,60 @@ class State {
   /**
    * Constructor for the State class.
    * @param {String} regionId - The id the region this state is bound to.
+   * @param {Boolean} [preventDefault=true] - Whether the touch-action of bound
+   *  elements is managed.
+   * @param {String} [eventPrefix='zt:'] - The prefix of the DOM events
+   *  emitted for gestures.
+   * @param {Object} [clock] - The clock timing events and the ticks of
+   *  gestures. @see clock
+   * @param {String} [targetResolution='hit'] - How the bindings under the
+   *  inputs are resolved ( hit | rect ).
    */
-  constructor(regionId) {
+  constructor(regionId, preventDefault, eventPrefix, clock,
+    targetResolution) {
     /**
      * The id for the region this state is bound to.
      * @type {String}
      */
     this.regionId = regionId;
 
+    /**
+     * Whether the touch-action of bound elements is set from their bindings.
+     * @type {Boolean}
+     */
+    this.preventDefault = (typeof preventDefault !== 'undefined') ?
+      preventDefault : true;
+
+    /**
+     * The prefix of the DOM events emitted for gestures, which are named
+     * after the type of the gesture (e.g. 'zt:pan').
+     * @type {String}
+     */
+    this.eventPrefix = (typeof eventPrefix === 'string') ?
+      eventPrefix : DEFAULT_EVENT_PREFIX;
+
+    /**
+     * The clock timing events and scheduling the ticks of gestures.
+     * @type {Object}
+     */
+    this.clock = (clock) ? clock : defaultClock;
+
+    if (targetResolution &&
+      TARGET_RESOLUTIONS.indexOf(targetResolution) === -1) {
+      throw new Error('Parameter ' + targetResolution +
+        ' is not a target resolution');
+    }
+
+    /**
+     * How the bindings under the inputs are resolved: from the element the
+     * browser hit as each input started and its ancestors, such that
+     * bindings covered by other content are left out, or from the bounding
+     * rectangles of the bound elements alone. Inputs without a hit element
+     * are resolved by rectangle.
+     * @type {String}
+     */
+    this.targetResolution = (targetResolution) ? targetResolution : 'hit';
+
     /**
      * An array of current and recently inactive
      *  Input objects related to a gesture.
@@ -45,6 +96,21 @@ class State {
      */
     this.bindings = [];
 
+    /**
+     * An array of delegated Binding objects, which bind a gesture to every
+     * element matching a selector within their element.
+     * @type {Binding}
+     */
+    this.delegates = [];
+
+    /**
+     * The inline touch-action each element managed by the state had before
+     * it was first bound, restored once it has no bindings left. Each entry
+     * holds the element and its value.
+     * @type {Array}
+     */
+    this.touchActions = [];
+
     /**
      * The number of gestures that have been registered with this state
      * @type {Number}
@@ -58,11 +124,55 @@ class State {
      */
     this.registeredGestures = {};
 
+    /**
+     * The ticks requested by bindings, at most one per binding, as a gesture
+     * can be bound to several elements. Each tick holds the binding to call
+     * back, the delay in milliseconds or whether it waits for the next
+     * animation frame, and the handle of its timer once the arbiter has
+     * scheduled it.
+     * @type {Array}
+     */
+    this.ticks = [];
+
+    /**
+     * Stores internal state for each gesture based off of the gesture's id,
+     * for progress that has to outlive the inputs of a single gesture
+     * (e.g. the taps of a double tap). Unlike an Input's progress, this is
+     * not cleared when the inputs are reset.
+     * @type {Object}
+     */
+    this.progress = {};
+
+    /**
+     * Gesture candidates that are held back until the gestures they
+     * require to fail have failed. Each candidate holds a binding, its data,
+     * and the events at the time it was recognized.
+     * @type {Array}
+     */
+    this.held = [];
+
+    /**
+     * Why the last event given to updateInputs was invalid
+     * ( stale start | left region | unknown input ), or null.
+     * @type {String|null}
+     */
+    this.invalidReason = null;
+
+    /**
+     * The functions hooked into the state, keyed by the name of their hook.
+     * Functions hooked to 'trace' are called with a record of each stage of
+     * recognition. @see State.trace
+     * @type {Object}
+     */
+    this.hooks = {trace: []};
+
     this.registerGesture(new Pan(), 'pan');
     this.registerGesture(new Rotate(), 'rotate');
     this.registerGesture(new Pinch(), 'pinch');
     this.registerGesture(new Swipe(), 'swipe');
     this.registerGesture(new Tap(), 'tap');
+    this.registerGesture(new Press(), 'press');
+    this.registerGesture(new Transform(), 'transform');
   }
 
   /**
@@ -74,42 +184,216 @@ class State {
    *  or an unregistered  Gesture object.
    * @param {Function} handler - The function handler to be called
    *  when the event is emitted. Used to bind/unbind.
-   * @param {Boolean} capture - Whether the gesture is to be
-   *  detected in the capture of bubble phase. Used to bind/unbind.
+   * @param {Boolean|Object} capture - Whether the gesture is to be
+   *  detected in the capture of bubble phase, or the options of the binding.
+   *  Used to bind/unbind.
+   *  @see Binding
    * @param {Boolean} bindOnce - Option to bind once and
    *  only emit the event once.
+   * @return {Binding} - The binding that was added.
    */
   addBinding(element, gesture, handler, capture, bindOnce) {
-    let boundGesture;
-
     // Error type checking.
     if (element && typeof element.tagName === 'undefined') {
       throw new Error('Parameter element is an invalid object.');
     }
 
-    if (typeof handler !== 'function') {
-      throw new Error('Parameter handler is invalid.');
+    const binding = new Binding(element, getBoundGesture(this, gesture,
+      handler), handler, capture, bindOnce);
+    return add(this, binding);
+  }
+
+  /**
+   * Creates a binding to a virtual target drawn on an element, such as a
+   * shape on a canvas. The binding matches the inputs starting on the
+   * element that the target's hitTest function is true for, and emits the
+   * gesture on the element with the target in its detail.
+   * @param {Element} element - The element the target is drawn on.
+   * @param {Object} target - The virtual target, with a hitTest function
+   *  called with coordinates relative to the element.
+   * @param {String|Object} gesture - Either a name of a registered gesture,
+   *  or an unregistered Gesture object.
+   * @param {Function} handler - The function handler to be called
+   *  when the event is emitted.
+   * @param {Boolean|Object} capture - Whether the gesture is to be
+   *  detected in the capture of bubble phase, or the options of the binding.
+   *  @see Binding
+   * @param {Boolean} bindOnce - Option to bind once and
+   *  only emit the event once.
+   * @return {Binding} - The binding that was added.
+   */
+  addTarget(element, target, gesture, handler, capture, bindOnce) {
+    if (!target || typeof target.hitTest !== 'function') {
+      throw new Error('Parameter target has no hitTest function');
     }
 
-    if (typeof gesture === 'string' &&
-      Object.keys(this.registeredGestures).indexOf(gesture) === -1) {
-      throw new Error('Parameter ' + gesture + ' is not a registered gesture');
-    } else if (typeof gesture === 'object' && !(gesture instanceof Gesture)) {
-      throw new Error('Parameter for the gesture is not of a Gesture type');
+    const binding = new Binding(element, getBoundGesture(this, gesture,
+      handler), handler, capture, bindOnce);
+    binding.target = target;
+    return add(this, binding);
+  }
+
+  /**
+   * Creates a delegated binding, binding a gesture to every element within
+   * the root that matches the selector, including elements added later.
+   * Elements are matched against the target of each input as it starts,
+   * which is too late for the browser to honour their touch-action, so the
+   * touch-action of the delegation applies to the root instead.
+   * @param {Element} root - The element the selector is matched within.
+   * @param {String} selector - The CSS selector of the elements.
+   * @param {String|Object} gesture - Either a name of a registered gesture,
+   *  or an unregistered Gesture object.
+   * @param {Function} handler - The function handler to be called
+   *  when the event is emitted.
+   * @param {Boolean|Object} capture - Whether the gesture is to be
+   *  detected in the capture of bubble phase, or the options of the binding.
+   *  @see Binding
+   * @param {Boolean} bindOnce - Option to bind once and
+   *  only emit the event once.
+   * @return {Binding} - The delegated binding that was added.
+   */
+  addDelegate(root, selector, gesture, handler, capture, bindOnce) {
+    if (typeof selector !== 'string') {
+      throw new Error('Parameter selector is an invalid string');
+    }
+
+    const binding = new Binding(root, getBoundGesture(this, gesture,
+      handler), handler, capture, bindOnce);
+    binding.selector = selector;
+    if (binding.signal && binding.signal.aborted) {
+      return binding;
     }
 
-    if (typeof gesture === 'string') {
-      boundGesture = this.registeredGestures[gesture];
-    } else {
-      boundGesture = gesture;
-      if (boundGesture.id === '') {
-        this.assignGestureId(boundGesture);
+    this.delegates.push(binding);
+    if (binding.signal) {
+      binding.abortListener = () => {
+        this.removeBinding(binding);
+      };
+      binding.signal.addEventListener('abort', binding.abortListener);
+    }
+    this.updateTouchAction(root);
+    return binding;
+  }
+
+  /**
+   * Binds the delegated gestures to the elements matching their selector
+   * from the target of a starting input. These bindings last until the next
+   * gesture starts, such that gestures carrying on without inputs still
+   * reach their handler.
+   * @param {Node} target - The target of the starting input.
+   */
+  resolveDelegates(target) {
+    this.delegates.forEach((delegate) => {
+      const element = util.getClosest(target, delegate.selector,
+        delegate.element);
+      if (!element || this.bindings.some((binding) => {
+        return binding.delegate === delegate && binding.element === element;
+      })) {
+        return;
       }
+
+      const binding = new Binding(element, delegate.gesture, delegate.handler,
+        {
+          capture: delegate.capture,
+          touchAction: delegate.touchAction,
+          passive: delegate.passive,
+          hitTest: delegate.hitTest,
+        }, delegate.bindOnce);
+      binding.delegate = delegate;
+      binding.requiredFailures = delegate.requiredFailures;
+      this.bindings.push(binding);
+      addListener(this, binding);
+    });
+  }
+
+  /**
+   * Removes the bindings resolved from delegated bindings for the previous
+   * gesture.
+   */
+  releaseDelegates() {
+    this.bindings.filter((binding) => binding.delegate).forEach((binding) => {
+      this.removeBinding(binding);
+    });
+  }
+
+  /**
+   * Removes a binding, such that its handler is no longer called.
+   * @param {Binding} binding - The binding to remove.
+   */
+  removeBinding(binding) {
+    if (this.delegates.indexOf(binding) !== -1) {
+      this.delegates.splice(this.delegates.indexOf(binding), 1);
+      removeAbortListener(binding);
+      this.bindings.filter((resolved) => {
+        return resolved.delegate === binding;
+      }).forEach((resolved) => {
+        this.removeBinding(resolved);
+      });
+      this.updateTouchAction(binding.element);
+      return;
     }
 
-    this.bindings.push(new Binding(element, boundGesture,
-      handler, capture, bindOnce));
-    element.addEventListener(boundGesture.getId(), handler, capture);
+    const index = this.bindings.indexOf(binding);
+    if (index === -1) {
+      return;
+    }
+
+    this.bindings.splice(index, 1);
+    binding.element.removeEventListener(binding.eventName,
+      binding.listener, binding.capture);
+    removeAbortListener(binding);
+    this.held = this.held.filter((candidate) => {
+      return candidate.binding !== binding;
+    });
+
+    this.cancelTick(binding);
+
+    // The touch-action of elements matched by a selector is left to the page.
+    if (!binding.delegate) {
+      this.updateTouchAction(binding.element);
+    }
+  }
+
+  /**
+   * Retrieves the name of the DOM events emitted for a gesture, made of the
+   * region's prefix and the type of the gesture (e.g. 'zt:pan'). Gestures
+   * without a type are named after their id.
+   * @param {Gesture} gesture - The gesture being emitted.
+   * @return {String} - The name of the DOM events.
+   */
+  getEventName(gesture) {
+    return this.eventPrefix + (gesture.getType() || gesture.getId());
+  }
+
+  /**
+   * Sets the touch-action of an element to only allow the browser behaviours
+   * allowed by all of its bindings, including the delegated bindings it is
+   * the root of, or restores its own inline touch-action once it has none.
+   * @param {Element} element - The bound element.
+   */
+  updateTouchAction(element) {
+    if (!this.preventDefault) {
+      return;
+    }
+
+    const bindings = this.retrieveBindingsByElement(element).concat(
+      this.delegates.filter((delegate) => delegate.element === element));
+    const saved = this.touchActions.filter((entry) => {
+      return entry.element === element;
+    })[0];
+    if (bindings.length > 0) {
+      if (!saved) {
+        this.touchActions.push({
+          element: element,
+          value: element.style['touch-action'] || '',
+        });
+      }
+      util.setTouchAction(element, util.intersectTouchActions(
+        bindings.map((binding) => binding.touchAction)));
+    } else if (saved) {
+      this.touchActions.splice(this.touchActions.indexOf(saved), 1);
+      util.setTouchAction(element, saved.value);
+    }
   }
 
   /**
@@ -121,6 +405,41 @@ class State {
     return this.bindings.filter( b => b.element === element );
   }
 
+  /**
+   * Retrieves the Bindings to a virtual target.
+   * @param {Object} target - The virtual target to find bindings to.
+   * @return {Array} - An array of Bindings to the target.
+   */
+  retrieveBindingsByTarget(target) {
+    return this.bindings.filter((b) => b.target === target);
+  }
+
+  /**
+   * Determines if a gesture could still be recognized by any of the elements
+   * it is bound to.
+   * @param {Gesture} gesture - The gesture to check.
+   * @return {Boolean} - true if the gesture is still possible.
+   */
+  isGesturePossible(gesture) {
+    return this.bindings.some((binding) => {
+      return binding.gesture === gesture &&
+        gesture.isPossible(this.inputs, this, binding.element, binding);
+    });
+  }
+
+  /**
+   * Retrieves the gestures a binding requires to fail before it is emitted,
+   * resolving registered gesture keys. @see Binding.requireFailureOf
+   * @param {Binding} binding
+   * @return {Array} - The Gesture objects.
+   */
+  retrieveRequiredFailures(binding) {
+    return binding.requiredFailures.map((gesture) => {
+      return (typeof gesture === 'string') ?
+        this.registeredGestures[gesture] : gesture;
+    });
+  }
+
   /**
    * Retrieves all bindings based upon the initial X/Y position of the inputs.
    * e.g. if gesture started on the correct target element,
@@ -130,76 +449,178 @@ class State {
   retrieveBindingsByInitialPos() {
     return this.bindings.filter( binding => {
       return this.inputs.some( input => {
-        return util.isInside(input.initial.x, input.initial.y, binding.element);
+        return this.isInputOn(input, binding);
       });
     });
   }
 
+  /**
+   * Determines whether an input started on a binding. The element the
+   * browser hit has to be the bound element or within it, unless targets
+   * are resolved by rectangle, and the start position has to pass the
+   * binding's hit-test. The result is kept on the input, such that the
+   * layout is only read once per binding and the binding does not change
+   * while the elements move during the gesture.
+   * @param {Input} input
+   * @param {Binding} binding
+   * @return {Boolean}
+   */
+  isInputOn(input, binding) {
+    const cached = input.hits.filter((entry) => {
+      return entry.binding === binding;
+    })[0];
+    if (cached) {
+      return cached.hit;
+    }
+
+    const hit = isStartedOn(this, input, binding);
+    input.hits.push({binding: binding, hit: hit});
+    return hit;
+  }
+
   /**
    * Updates the inputs with new information based upon a new event being fired.
+   * The inputs are left for the caller to reset when the event is invalid.
    * @param {Event} event - The event being captured.
    * @param {Element} regionElement - The element where
    *  this current Region is bound to.
+   * @param {boolean} [tracking=false] - Whether inputs keep being tracked
+   *  once they leave the region.
    * @return {boolean} - returns true for a successful update,
    *  false if the event is invalid.
    */
-  updateInputs(event, regionElement) {
+  updateInputs(event, regionElement, tracking) {
+    const time = this.clock.now(event);
+    this.invalidReason = null;
     let eventType = (event.touches) ?
       'TouchEvent' : ((event.pointerType) ? 'PointerEvent' : 'MouseEvent');
     switch (eventType) {
       case 'TouchEvent':
-        Array.from(event.changedTouches).forEach( touch => {
-          update(event, this, touch.identifier, regionElement);
+        return Array.from(event.changedTouches).every((touch) => {
+          return update(event, this, touch.identifier, regionElement);
         });
-        break;
 
       case 'PointerEvent':
-        update(event, this, event.pointerId, regionElement);
-        break;
+        return update(event, this, event.pointerId, regionElement);
 
       case 'MouseEvent':
       default:
-        update(event, this, DEFAULT_MOUSE_ID, regionElement);
-        break;
+        return update(event, this, DEFAULT_MOUSE_ID, regionElement);
     }
-    return true;
 
     function update(event, state, identifier, regionElement) {
       const eventType = util.normalizeEvent[ event.type ];
       const input = findInputById(state.inputs, identifier);
 
+      // A cancelled input that is not being tracked, or has already ended.
+      if (eventType === 'cancel' &&
+        (!input || input.getCurrentEventType() === 'end')) {
+        return true;
+      }
+
       // A starting input was not cleaned up properly and still exists.
       if (eventType === 'start' && input) {
-        state.resetInputs();
-        return;
+        state.invalidReason = 'stale start';
+        return false;
       }
 
-      // An input has moved outside the region.
+      // An input has moved outside the region, and is no longer tracked.
       if (eventType !== 'start' &&
         input &&
+        !tracking &&
         !util.isInside(input.current.x, input.current.y, regionElement)) {
-         state.resetInputs();
-        return;
+        state.invalidReason = 'left region';
+        return false;
       }
 
       if (eventType !== 'start' && !input) {
-        state.resetInputs();
-        return;
+        state.invalidReason = 'unknown input';
+        return false;
       }
 
       if (eventType === 'start') {
-        state.inputs.push(new Input(event, identifier));
+        state.inputs.push(new Input(event, identifier, time));
       } else {
-        input.update(event, identifier);
+        input.update(event, identifier, time);
       }
+      return true;
     }
   }
 
   /**
-   * Removes all inputs from the state, allowing for a new gesture.
+   * Calls the functions hooked to 'trace' with a record of a stage of
+   * recognition, holding the stage, the time and the details of the stage.
+   * Stages are:
+   * - input: the inputs were updated from an event.
+   * - reset: the inputs were reset, for a reason
+   *   ( ended | cancelled | stale buttons | stale start | left region |
+   *   unknown input ).
+   * - match: the bindings under the inputs were retrieved.
+   * - hook: a gesture hook returned, with its result.
+   * - dedup: a gesture was dropped for one bound deeper in the event's path.
+   * - negotiate: a gesture was dropped or held back for a gesture it
+   *   requires to fail.
+   * - dispatch: a gesture was emitted.
+   * @param {String} stage - The stage of recognition.
+   * @param {Object} details - The details of the stage.
+   */
+  trace(stage, details) {
+    if (this.hooks.trace.length === 0) {
+      return;
+    }
+
+    const record = Object.assign({stage: stage, time: this.clock.now()},
+      details);
+    this.hooks.trace.slice().forEach((hook) => hook(record));
+  }
+
+  /**
+   * Removes all inputs from the state, allowing for a new gesture. Held
+   * candidates are dropped, unless the gestures they wait on carry on without
+   * inputs (e.g. a single tap waiting for the next tap of a double tap).
    */
   resetInputs() {
     this.inputs = [];
+    this.held = this.held.filter((candidate) => {
+      return this.retrieveRequiredFailures(candidate.binding).some(
+        (gesture) => this.isGesturePossible(gesture));
+    });
+  }
+
+  /**
+   * Removes all bindings, inputs, ticks and progress from the state.
+   */
+  clear() {
+    this.delegates.concat(this.bindings).forEach((binding) => {
+      this.removeBinding(binding);
+    });
+    this.ticks.slice().forEach((tick) => {
+      this.cancelTick(tick.binding);
+    });
+    this.resetInputs();
+    this.held = [];
+    this.progress = {};
+  }
+
+  /**
+   * Returns the region-wide progress of the specified gesture.
+   * @param {String} id - The identifier for each unique Gesture's progress.
+   * @return {Object} - The progress of the gesture.
+   * Creates an empty object if no progress has begun.
+   */
+  getGestureProgress(id) {
+    if (!this.progress[id]) {
+      this.progress[id] = {};
+    }
+    return this.progress[id];
+  }
+
+  /**
+   * Resets the region-wide progress of the specified gesture.
+   * @param {String} id - The identifier of the specified gesture
+   */
+  resetProgress(id) {
+    this.progress[id] = {};
   }
 
   /**
@@ -213,6 +634,51 @@ class State {
     return endType.length;
   }
 
+  /**
+   * Requests that the binding's gesture has its tick hook called after the
+   * given delay, without waiting for another input event. Only one tick is
+   * kept per binding; a new request replaces the previous one.
+   * @param {Binding} binding - The binding to call back.
+   * @param {Number} delay - The delay in milliseconds.
+   */
+  requestTick(binding, delay) {
+    this.cancelTick(binding);
+    this.ticks.push({
+      binding: binding,
+      delay: delay,
+      frame: false,
+      handle: null,
+    });
+  }
+
+  /**
+   * Requests that the binding's gesture has its tick hook called on the next
+   * animation frame, to animate without input events (e.g. the momentum of a
+   * Pan). Replaces any tick the binding has requested before.
+   * @param {Binding} binding - The binding to call back.
+   */
+  requestFrame(binding) {
+    this.requestTick(binding, 0);
+    this.ticks[this.ticks.length - 1].frame = true;
+  }
+
+  /**
+   * Cancels the tick requested for a binding, if any.
+   * @param {Binding} binding - The binding that requested the tick.
+   */
+  cancelTick(binding) {
+    const index = this.ticks.map((tick) => tick.binding).indexOf(binding);
+    if (index !== -1) {
+      const tick = this.ticks[index];
+      if (tick.handle !== null && tick.frame) {
+        this.clock.cancelAnimationFrame(tick.handle);
+      } else if (tick.handle !== null) {
+        this.clock.clearTimeout(tick.handle);
+      }
+      this.ticks.splice(index, 1);
+    }
+  }
+
   /**
    * Register the gesture to the current region.
    * @param {Object} gesture - The gesture to register
@@ -245,4 +711,135 @@ function findInputById(inputs, identifier) {
   return inputs.find( i => i.identifier === identifier );
 }
 
+/**
+ * Adds a binding to the state, unless its signal is already aborted as with
+ * addEventListener, and listens for its events.
+ * @param {State} state - The state the binding is added to.
+ * @param {Binding} binding - The binding to add.
+ * @return {Binding} - The binding.
+ */
+function add(state, binding) {
+  if (binding.signal && binding.signal.aborted) {
+    return binding;
+  }
+
+  state.bindings.push(binding);
+  addListener(state, binding);
+  if (binding.signal) {
+    binding.abortListener = () => {
+      state.removeBinding(binding);
+    };
+    binding.signal.addEventListener('abort', binding.abortListener);
+  }
+  state.updateTouchAction(binding.element);
+  return binding;
+}
+
+/**
+ * Tests whether an input started on a binding. @see State.isInputOn
+ * @param {State} state
+ * @param {Input} input
+ * @param {Binding} binding
+ * @return {Boolean}
+ */
+function isStartedOn(state, input, binding) {
+  if (state.targetResolution === 'hit') {
+    const hit = getHitNode(input.initial);
+    if (hit && !binding.element.contains(hit)) {
+      return false;
+    }
+  }
+
+  return binding.hits(input.initial.x, input.initial.y);
+}
+
+/**
+ * Retrieves the node the browser hit for an event: its target, or the
+ * topmost element at its position.
+ * @param {ZingEvent} event
+ * @return {Node|null} - The node, or null if it cannot be told.
+ */
+function getHitNode(event) {
+  if (event.target && event.target.nodeType) {
+    return event.target;
+  }
+
+  return (document.elementFromPoint) ?
+    document.elementFromPoint(event.x, event.y) : null;
+}
+
+/**
+ * Validates the gesture and handler of a new binding, and retrieves the
+ * gesture to bind.
+ * @param {State} state - The state the binding is added to.
+ * @param {String|Object} gesture - Either a name of a registered gesture,
+ *  or an unregistered Gesture object.
+ * @param {Function} handler - The function handler of the binding.
+ * @return {Gesture} - The gesture to bind.
+ */
+function getBoundGesture(state, gesture, handler) {
+  if (typeof gesture === 'string' &&
+    Object.keys(state.registeredGestures).indexOf(gesture) === -1) {
+    throw new Error('Parameter ' + gesture + ' is not a registered gesture');
+  } else if (typeof gesture !== 'string' && !(gesture instanceof Gesture)) {
+    throw new Error('Parameter for the gesture is not of a Gesture type');
+  }
+
+  const bound = (typeof gesture === 'string') ?
+    state.registeredGestures[gesture] : gesture;
+
+  // The handler is optional for a gesture emitted to its callbacks, and
+  // never called for a gesture without DOM events.
+  if (typeof handler !== 'function' &&
+    (typeof handler !== 'undefined' || !bound.hasCallbacks())) {
+    throw new Error('Parameter handler is invalid.');
+  }
+
+  if (handler && !bound.domEvents) {
+    throw new Error('Parameter handler is never called for a gesture ' +
+      'without DOM events');
+  }
+
+  if (bound.id === null) {
+    state.assignGestureId(bound);
+  }
+  return bound;
+}
+
+/**
+ * Adds the handler of a binding as a listener to its element. Events of the
+ * same name emitted by other gestures (e.g. from a nested region) do not
+ * call the handler, nor do the events of other targets drawn on the element
+ * if the binding is to a virtual target.
+ * @param {State} state - The state the binding is added to.
+ * @param {Binding} binding - The binding to listen for.
+ */
+function addListener(state, binding) {
+  binding.eventName = state.getEventName(binding.gesture);
+  if (!binding.handler) {
+    return;
+  }
+
+  binding.listener = function(event) {
+    if (event.detail && event.detail.gestureId === binding.gesture.getId() &&
+      (!binding.target || event.detail.target === binding.target)) {
+      return binding.handler.call(this, event);
+    }
+  };
+  binding.element.addEventListener(binding.eventName, binding.listener,
+    (binding.passive) ?
+      {capture: binding.capture, passive: true} : binding.capture);
+}
+
+/**
+ * Stops a binding from listening to its signal.
+ * @param {Binding} binding - The binding being removed.
+ */
+function removeAbortListener(binding) {
+  if (binding.abortListener) {
+    binding.signal.removeEventListener('abort', binding.abortListener);
+    binding.abortListener = null;
+  }
+}
+
 export default State;
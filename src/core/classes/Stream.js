@@ -0,0 +1,170 @@
+/**
+ * @file Stream.js
+ * Contains the Stream class
+ */
+
+import util from './../util.js';
+
+/**
+ * An async iterator over the emissions of a gesture bound to an element,
+ * for sequential logic awaiting one emission after another. Emissions that
+ * are not awaited yet are queued. The binding is removed once the stream is
+ * returned from (e.g. by breaking out of a for await loop), its signal is
+ * aborted or its region is destroyed, after which awaiting the stream
+ * rejects with the abort error.
+ * @example
+ * for await (const detail of region.stream(element, 'pan')) {
+ *   // ...
+ * }
+ * @class Stream
+ */
+class Stream {
+  /**
+   * Constructor function for the Stream class.
+   * @param {Region} region - The region to bind with.
+   * @param {Element} element - The element to bind.
+   * @param {String|Object} gesture - Gesture key, or a Gesture object.
+   * @param {Object} [options] - The options of the binding. @see Binding
+   */
+  constructor(region, element, gesture, options) {
+    /**
+     * The region the binding was made with.
+     * @type {Region}
+     */
+    this.region = region;
+
+    /**
+     * The details of the emissions that have not been awaited yet.
+     * @type {Array}
+     */
+    this.queue = [];
+
+    /**
+     * The promises awaiting an emission, each holding the functions
+     * settling it.
+     * @type {Array}
+     */
+    this.pending = [];
+
+    /**
+     * Whether the stream has ended.
+     * @type {Boolean}
+     */
+    this.done = false;
+
+    /**
+     * The error the stream ended with, if it was aborted.
+     * @type {Error|null}
+     */
+    this.error = null;
+
+    /**
+     * The signal ending the stream once aborted, if any.
+     * @type {AbortSignal|null}
+     */
+    this.signal = (options && options.signal) ? options.signal : null;
+
+    // Ends the stream with the abort error of the signal.
+    this.abortListener = () => {
+      this.close(util.getAbortError(this.signal));
+    };
+
+    /**
+     * The binding feeding the stream.
+     * @type {Binding}
+     */
+    this.binding = region.bind(element, gesture, (event) => {
+      this.push(event.detail);
+    }, options);
+
+    if (this.signal && this.signal.aborted) {
+      this.abortListener();
+    } else if (this.signal) {
+      this.signal.addEventListener('abort', this.abortListener);
+    }
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+      this[Symbol.asyncIterator] = () => this;
+    }
+  }
+
+  /**
+   * Passes the detail of an emission to the first promise awaiting it, or
+   * queues it.
+   * @param {Object} detail - The detail of the emitted event.
+   */
+  push(detail) {
+    if (this.pending.length > 0) {
+      this.pending.shift().resolve({value: detail, done: false});
+    } else {
+      this.queue.push(detail);
+    }
+  }
+
+  /**
+   * Awaits the next emission.
+   * @return {Promise} - Resolves with the next detail, or rejects with the
+   *  abort error.
+   */
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({value: this.queue.shift(), done: false});
+    }
+
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+
+    if (this.done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({resolve, reject});
+    });
+  }
+
+  /**
+   * Ends the stream, removing its binding. Called as a for await loop is
+   * broken out of.
+   * @return {Promise} - Resolves once the stream has ended.
+   */
+  return() {
+    this.close(null);
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  /**
+   * Ends the stream, removing its binding and settling the promises
+   * awaiting it.
+   * @param {Error|null} error - The error to reject with, or null to end
+   *  the stream without an error.
+   */
+  close(error) {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    this.error = error;
+    this.queue = (error) ? [] : this.queue;
+    this.region.state.removeBinding(this.binding);
+    this.region.waiting = this.region.waiting.filter((other) => {
+      return other !== this;
+    });
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.abortListener);
+    }
+
+    this.pending.forEach((promise) => {
+      if (error) {
+        promise.reject(error);
+      } else {
+        promise.resolve({value: undefined, done: true});
+      }
+    });
+    this.pending = [];
+  }
+}
+
+export default Stream;
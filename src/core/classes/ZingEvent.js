@@ -4,6 +4,7 @@
  */
 
 import util from '../util.js';
+import clock from '../clock.js';
 
 const INITIAL_COORDINATE = 0;
 /**
@@ -19,14 +20,23 @@ class ZingEvent {
    * @param {Object} event.changedTouches - The TouchList representing
    * points that participated in the event.
    * @param {Number} touchIdentifier - The index of touch if applicable
+   * @param {Number} [time] - The time of the event in milliseconds, as
+   *  measured by the clock of the region. Defaults to the default clock.
    */
-  constructor(event, touchIdentifier) {
+  constructor(event, touchIdentifier, time) {
     /**
      * The original event object.
      * @type {Event}
      */
     this.originalEvent = event;
 
+    /**
+     * The time of the event in milliseconds, which gestures measure
+     * durations and velocities from.
+     * @type {Number}
+     */
+    this.time = (typeof time === 'number') ? time : clock.now(event);
+
     /**
      * The type of event or null if it is an event not predetermined.
      * @see util.normalizeEvent
@@ -63,6 +73,38 @@ class ZingEvent {
 
     this.screenX = eventObj.screenX;
     this.screenY = eventObj.screenY;
+
+    /**
+     * The node the browser targeted the event at: the topmost element under
+     * the input, or for a touch, the element it started on.
+     * @type {Node|null}
+     */
+    this.target = eventObj.target || event.target || null;
+  }
+
+  /**
+   * Creates a copy of the event that also carries its coordinates relative
+   * to an element, with the element's CSS transform inverted.
+   * @param {Element} element - The element the coordinates are relative to.
+   * @return {ZingEvent} - The copy, with the localX and localY coordinates.
+   */
+  localTo(element) {
+    const local = util.getLocalPosition(this.clientX, this.clientY, element);
+    const event = Object.assign(Object.create(ZingEvent.prototype), this);
+
+    /**
+     * The X coordinate for the event, relative to the element.
+     * @type {number}
+     */
+    event.localX = local.x;
+
+    /**
+     * The Y coordinate for the event, relative to the element.
+     * @type {number}
+     */
+    event.localY = local.y;
+
+    return event;
   }
 }
 
@@ -0,0 +1,67 @@
+/**
+ * @file clock.js
+ * The default clock of a Region, which reads the time and schedules the
+ * ticks of gestures using the browser.
+ */
+
+/**
+ * The clock used by Regions unless they are given their own, such as a
+ * testing Clock that is advanced manually. A clock measures time in
+ * milliseconds, timing both the input events and the ticks of gestures, and
+ * schedules callbacks with the same signatures as the window's timers.
+ * @type {Object}
+ * @namespace clock
+ */
+let clock = {
+  /**
+   * Returns the time of an event, or the current time, in milliseconds. The
+   * time of an event is its timeStamp, unless the browser measures it from
+   * another origin than the current time (e.g. the epoch instead of the
+   * page load), in which case the event is timed as it is received.
+   * @param {Event} [event] - The event to time.
+   * @return {Number}
+   */
+  now(event) {
+    const now = (window.performance && window.performance.now) ?
+      window.performance.now() : new Date().getTime();
+    return (event && event.timeStamp > 0 && event.timeStamp <= now) ?
+      event.timeStamp : now;
+  },
+
+  /**
+   * Calls a function once a delay has elapsed.
+   * @param {Function} callback
+   * @param {Number} delay - The delay in milliseconds.
+   * @return {Number} - The handle of the timer.
+   */
+  setTimeout(callback, delay) {
+    return window.setTimeout(callback, delay);
+  },
+
+  /**
+   * Cancels a timer set with setTimeout.
+   * @param {Number} handle - The handle of the timer.
+   */
+  clearTimeout(handle) {
+    window.clearTimeout(handle);
+  },
+
+  /**
+   * Calls a function before the next repaint.
+   * @param {Function} callback
+   * @return {Number} - The handle of the request.
+   */
+  requestAnimationFrame(callback) {
+    return window.requestAnimationFrame(callback);
+  },
+
+  /**
+   * Cancels a request made with requestAnimationFrame.
+   * @param {Number} handle - The handle of the request.
+   */
+  cancelAnimationFrame(handle) {
+    window.cancelAnimationFrame(handle);
+  },
+};
+
+export default clock;
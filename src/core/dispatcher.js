@@ -3,37 +3,66 @@
  * Contains logic for the dispatcher
  */
 
+const PHASE_EVENTS = Object.freeze({
+  began: 'start',
+  changed: 'move',
+  ended: 'end',
+  cancelled: 'cancel',
+});
+const PHASE_CALLBACKS = Object.freeze({
+  began: 'onStart',
+  changed: 'onMove',
+  ended: 'onEnd',
+  cancelled: 'onCancel',
+});
+
 /**
- * Emits data at the target element if available, and bubbles up from
- * the target to the parent until the document has been reached.
+ * Calls the gesture's callback for the phase of the data, then emits the data
+ * at the target element unless the gesture has no DOM events, bubbling up
+ * from the target to the parent until the document has been reached. The
+ * event is named after the binding (e.g. 'zt:pan'), and its detail holds the
+ * id of the emitting gesture and the binding's virtual target, if any, which
+ * bound handlers are filtered by.
  * Called from the arbiter.
  * @param {Binding} binding - An object of type Binding
  * @param {Object} data - The metadata computed by the gesture being emitted.
  * @param {Array} events - An array of ZingEvents
- *  corresponding to the inputs on the screen.
+ *  corresponding to the inputs on the screen. The events are emitted with
+ *  their coordinates relative to the bound element.
+ * @param {Boolean} [phaseEvents=false] - Whether to also emit a separate event
+ *  named after the binding's event and its phase (e.g. 'zt:pan:start').
  */
-function dispatcher(binding, data, events) {
-  data.events = events;
+function dispatcher(binding, data, events, phaseEvents) {
+  data.events = events.map((event) => event.localTo(binding.element));
+  data.gestureId = binding.gesture.getId();
+  if (binding.target) {
+    data.target = binding.target;
+  }
+
+  const callback = binding.gesture[PHASE_CALLBACKS[data.phase]];
+  if (typeof callback === 'function') {
+    callback.call(binding.gesture, data, binding);
+  }
+
+  if (!binding.gesture.domEvents) {
+    return;
+  }
 
-  const newEvent = new CustomEvent(binding.gesture.getId(), {
+  const newEvent = new CustomEvent(binding.eventName, {
     detail: data,
     bubbles: true,
     cancelable: true,
   });
-  emitEvent(binding.element, newEvent, binding);
-}
 
-/**
- * Emits the new event. Unbinds the event if the event was registered
- * at bindOnce.
- * @param {Element} target - Element object to emit the event to.
- * @param {Event} event - The CustomEvent to emit.
- * @param {Binding} binding - An object of type Binding
- */
-function emitEvent(target, event, binding) {
-  target.dispatchEvent(event);
-  if (binding.bindOnce) {
-    ZingTouch.unbind(binding.element, binding.gesture.getType());
+  binding.element.dispatchEvent(newEvent);
+
+  if (phaseEvents && PHASE_EVENTS[data.phase]) {
+    binding.element.dispatchEvent(
+      new CustomEvent(binding.eventName + ':' + PHASE_EVENTS[data.phase], {
+        detail: data,
+        bubbles: true,
+        cancelable: true,
+      }));
   }
 }
 
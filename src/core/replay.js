@@ -0,0 +1,201 @@
+/**
+ * @file replay.js
+ * Contains the logic replaying traces recorded by a Recorder
+ */
+
+import arbiter from './arbiter.js';
+import Recorder from './classes/Recorder.js';
+import util from './util.js';
+
+const IDLE_CHECK_MS = 16;
+
+/**
+ * Replays a trace on a region, feeding its events into the arbiter at the
+ * times they were recorded. Inputs are positioned relative to the region
+ * element as it is now, and each input targets the element under it as it
+ * starts. An accelerated replay runs the region on a clock that is sped up
+ * by the same factor until its gestures are done, such that the gestures
+ * measure the time of the recording.
+ * @param {Object|String} trace - The trace, or its JSON.
+ * @param {Object} region - The region to replay the trace on.
+ * @param {Object} [options] - The options object.
+ * @param {Number} [options.speed=1] - The factor the replay is sped up by.
+ * @param {Function} [options.done] - Called once the last event has been
+ *  replayed and the gestures have stopped ticking.
+ * @return {Object} - The replay, which can be stopped with its cancel method.
+ */
+function replay(trace, region, options) {
+  if (typeof trace === 'string') {
+    trace = JSON.parse(trace);
+  }
+
+  if (!trace || trace.version !== Recorder.version) {
+    throw new Error('Parameter trace is not a version ' + Recorder.version +
+      ' trace');
+  }
+
+  const speed = (options && options.speed) ? options.speed : 1;
+  if (typeof speed !== 'number' || speed <= 0) {
+    throw new Error('Parameter speed must be a positive number');
+  }
+
+  const state = region.state;
+  const clock = state.clock;
+  const rect = region.element.getBoundingClientRect();
+  const targets = {};
+  if (speed !== 1) {
+    state.clock = accelerate(clock, speed);
+  }
+
+  const playback = {
+    finished: false,
+    handles: [],
+
+    /**
+     * Stops the replay, dropping the inputs it left on the region.
+     */
+    cancel() {
+      if (playback.finished) {
+        return;
+      }
+
+      playback.handles.forEach((handle) => clock.clearTimeout(handle));
+      state.resetInputs();
+      finish(playback, state, clock);
+    },
+  };
+
+  const finishWhenIdle = () => {
+    if (state.ticks.length > 0) {
+      playback.handles = [clock.setTimeout(finishWhenIdle, IDLE_CHECK_MS)];
+    } else {
+      finish(playback, state, clock);
+      if (options && options.done) {
+        options.done();
+      }
+    }
+  };
+
+  playback.handles = trace.events.map((entry) => {
+    return clock.setTimeout(() => {
+      arbiter(createEvent(entry, region.element, rect, targets), region);
+    }, entry.time / speed);
+  });
+  const last = trace.events.reduce((time, entry) => {
+    return Math.max(time, entry.time);
+  }, 0);
+  playback.handles.push(clock.setTimeout(finishWhenIdle, last / speed));
+
+  return playback;
+}
+
+/**
+ * Ends a replay, giving the region its own clock back.
+ * @param {Object} playback - The replay.
+ * @param {State} state - The state of the region.
+ * @param {Object} clock - The clock of the region.
+ */
+function finish(playback, state, clock) {
+  playback.finished = true;
+  playback.handles = [];
+  state.clock = clock;
+}
+
+/**
+ * Creates a clock whose time passes faster than another clock's by a factor,
+ * with timers shortened to match.
+ * @param {Object} clock - The clock to speed up.
+ * @param {Number} speed - The factor to speed it up by.
+ * @return {Object}
+ */
+function accelerate(clock, speed) {
+  const start = clock.now();
+  return {
+    now() {
+      return start + (clock.now() - start) * speed;
+    },
+    setTimeout(callback, delay) {
+      return clock.setTimeout(callback, delay / speed);
+    },
+    clearTimeout(handle) {
+      clock.clearTimeout(handle);
+    },
+    requestAnimationFrame(callback) {
+      return clock.requestAnimationFrame(callback);
+    },
+    cancelAnimationFrame(handle) {
+      clock.cancelAnimationFrame(handle);
+    },
+  };
+}
+
+/**
+ * Creates an object carrying what the arbiter reads from the browser event
+ * a trace entry was recorded from.
+ * @param {Object} entry - The trace entry.
+ * @param {Element} element - The region element.
+ * @param {Object} rect - The bounding rectangle of the region element.
+ * @param {Object} targets - The target of each input, keyed by identifier.
+ * @return {Object} - The synthetic event.
+ */
+function createEvent(entry, element, rect, targets) {
+  const start = util.normalizeEvent[entry.type] === 'start';
+  const points = entry.inputs.map((input) => {
+    const x = rect.left + input.x;
+    const y = rect.top + input.y;
+    if (start || !targets[input.identifier]) {
+      targets[input.identifier] = getTarget(element, x, y);
+    }
+
+    return {
+      identifier: input.identifier,
+      target: targets[input.identifier],
+      clientX: x,
+      clientY: y,
+      pageX: x + window.pageXOffset,
+      pageY: y + window.pageYOffset,
+      screenX: x,
+      screenY: y,
+    };
+  });
+
+  const event = Object.assign({
+    type: entry.type,
+    isTrusted: false,
+    defaultPrevented: false,
+    preventDefault() {
+      event.defaultPrevented = true;
+    },
+  }, points[0]);
+  delete event.identifier;
+
+  if (entry.pointerType === 'touch' && entry.type.indexOf('touch') === 0) {
+    event.changedTouches = points;
+    event.touches = points;
+  } else if (entry.type.indexOf('mouse') !== 0) {
+    event.pointerId = points[0].identifier;
+    event.pointerType = entry.pointerType;
+  }
+
+  if (typeof entry.buttons !== 'undefined') {
+    event.buttons = entry.buttons;
+  }
+
+  return event;
+}
+
+/**
+ * Retrieves the element under a position within the region element, or the
+ * region element itself.
+ * @param {Element} element - The region element.
+ * @param {Number} x - The client X coordinate.
+ * @param {Number} y - The client Y coordinate.
+ * @return {Element}
+ */
+function getTarget(element, x, y) {
+  const target = (document.elementFromPoint) ?
+    document.elementFromPoint(x, y) : null;
+  return (target && element.contains(target)) ? target : element;
+}
+
+export default replay;
@@ -6,6 +6,55 @@
 const CIRCLE_DEGREES = 360;
 const HALF_CIRCLE_DEGREES = 180;
 
+/**
+ * The browser behaviours allowed by each touch-action value.
+ * @type {Object}
+ */
+const TOUCH_ACTIONS = Object.freeze({
+  'auto': ['pan-left', 'pan-right', 'pan-up', 'pan-down', 'pinch-zoom',
+    'double-tap-zoom'],
+  'none': [],
+  'manipulation': ['pan-left', 'pan-right', 'pan-up', 'pan-down',
+    'pinch-zoom'],
+  'pan-x': ['pan-left', 'pan-right'],
+  'pan-y': ['pan-up', 'pan-down'],
+  'pan-left': ['pan-left'],
+  'pan-right': ['pan-right'],
+  'pan-up': ['pan-up'],
+  'pan-down': ['pan-down'],
+  'pinch-zoom': ['pinch-zoom'],
+});
+
+/**
+ * Determines if a position within the bounding rectangle of an element is
+ * within its shape. SVG shapes are tested against their fill, and other
+ * elements against the topmost element at the position. Elements are taken
+ * as rectangles where neither is supported.
+ * @param {Number} x - clientX
+ * @param {Number} y - clientY
+ * @param {Element} target
+ * @return {Boolean}
+ */
+function isInsideShape(x, y, target) {
+  if (target.isPointInFill && target.ownerSVGElement &&
+    target.getScreenCTM) {
+    const matrix = target.getScreenCTM();
+    if (matrix) {
+      const point = target.ownerSVGElement.createSVGPoint();
+      point.x = x;
+      point.y = y;
+      return target.isPointInFill(point.matrixTransform(matrix.inverse()));
+    }
+  }
+
+  if (document.elementFromPoint) {
+    const topmost = document.elementFromPoint(x, y);
+    return !!topmost && (topmost === target || target.contains(topmost));
+  }
+
+  return true;
+}
+
 /**
  *  Contains generic helper functions
  * @type {Object}
@@ -14,7 +63,8 @@ const HALF_CIRCLE_DEGREES = 180;
 let util = {
 
   /**
-   * Normalizes window events to be either of type start, move, or end.
+   * Normalizes window events to be either of type start, move, end,
+   * or cancel.
    * @param {String} type - The event type emitted by the browser
    * @return {null|String} - The normalized event, or null if it is an
    * event not predetermined.
@@ -31,6 +81,10 @@ let util = {
       mouseup:   'end',
       touchend:  'end',
       pointerup: 'end',
+
+      touchcancel: 'cancel',
+      pointercancel: 'cancel',
+      lostpointercapture: 'cancel',
   }),
   /* normalizeEvent*/
 
@@ -157,16 +211,134 @@ let util = {
 
   /**
    * Determines if the x,y position of the input is within then target.
+   * The position is tested against the target's bounding rectangle, the
+   * circle (or ellipse) inscribed in it, or its shape: the fill of an SVG
+   * shape, or the area where the target (or one of its descendants) is the
+   * topmost element for other elements.
    * @param {Number} x -clientX
    * @param {Number} y -clientY
    * @param {Element} target
+   * @param {String} [hitTest='rect'] - The hit-test mode
+   *  ( rect | circle | shape ).
    * @return {Boolean}
    */
-  isInside(x, y, target) {
+  isInside(x, y, target, hitTest) {
     const rect = target.getBoundingClientRect();
-    return ((x > rect.left && x < rect.left + rect.width) &&
-    (y > rect.top && y < rect.top + rect.height));
+    if (!((x > rect.left && x < rect.left + rect.width) &&
+      (y > rect.top && y < rect.top + rect.height))) {
+      return false;
+    }
+
+    if (hitTest === 'circle') {
+      const rx = rect.width / 2;
+      const ry = rect.height / 2;
+      const dx = (x - rect.left - rx) / rx;
+      const dy = (y - rect.top - ry) / ry;
+      return dx * dx + dy * dy <= 1;
+    }
+
+    if (hitTest === 'shape') {
+      return isInsideShape(x, y, target);
+    }
+
+    return true;
+  },
+  /**
+   * Retrieves the 2D CSS transform applied to an element, as the matrix
+   * [a, b, c, d, e, f] and the transform origin relative to the element's
+   * border box.
+   * @param {Element} element
+   * @return {Object | null} - The matrix and origin, or null if the element
+   *  is not transformed.
+   */
+  getTransform(element) {
+    const style = window.getComputedStyle(element);
+    const transform = style && style.transform;
+    if (!transform || transform === 'none') {
+      return null;
+    }
+
+    const values = transform.slice(transform.indexOf('(') + 1, -1)
+      .split(',').map(parseFloat);
+    const matrix = (values.length === 16) ?
+      [values[0], values[1], values[4], values[5], values[12], values[13]] :
+      values;
+    const origin = (style.transformOrigin || '0 0').split(' ').map(parseFloat);
+
+    return {
+      matrix: matrix,
+      origin: {x: origin[0] || 0, y: origin[1] || 0},
+    };
+  },
+
+  /**
+   * Retrieves the client position of the top left of an element's border
+   * box, as it would be laid out without its CSS transform.
+   * @param {Element} element
+   * @return {Object} - The x and y client coordinates.
+   */
+  getLayoutPosition(element) {
+    const rect = element.getBoundingClientRect();
+    const transform = util.getTransform(element);
+    if (!transform) {
+      return {x: rect.left, y: rect.top};
+    }
+
+    /*
+     The bounding rectangle encloses the transformed border box, so the
+     untransformed position of the element is found by transforming its
+     corners relative to the layout position.
+     */
+    const [a, b, c, d, e, f] = transform.matrix;
+    const origin = transform.origin;
+    const width = element.offsetWidth;
+    const height = element.offsetHeight;
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]];
+    let minX = Infinity;
+    let minY = Infinity;
+    corners.forEach(([cornerX, cornerY]) => {
+      const dx = cornerX - origin.x;
+      const dy = cornerY - origin.y;
+      minX = Math.min(minX, origin.x + a * dx + c * dy + e);
+      minY = Math.min(minY, origin.y + b * dx + d * dy + f);
+    });
+
+    return {x: rect.left - minX, y: rect.top - minY};
+  },
+
+  /**
+   * Converts a client position to the coordinate space of an element, with
+   * the origin at the top left of its border box. The element's CSS
+   * transform is inverted, such that a position on a scaled or rotated
+   * element is reported as it would be on the untransformed element.
+   * @param {Number} x - clientX
+   * @param {Number} y - clientY
+   * @param {Element} element
+   * @return {Object} - The x and y coordinates relative to the element.
+   */
+  getLocalPosition(x, y, element) {
+    const layout = util.getLayoutPosition(element);
+    const transform = util.getTransform(element);
+    if (!transform) {
+      return {x: x - layout.x, y: y - layout.y};
+    }
+
+    const [a, b, c, d, e, f] = transform.matrix;
+    const origin = transform.origin;
+    const determinant = a * d - b * c;
+    if (determinant === 0) {
+      return {x: x - layout.x, y: y - layout.y};
+    }
+
+    // Invert the transform around its origin.
+    const tx = x - layout.x - origin.x - e;
+    const ty = y - layout.y - origin.y - f;
+    return {
+      x: origin.x + (d * tx - c * ty) / determinant,
+      y: origin.y + (a * ty - b * tx) / determinant,
+    };
   },
+
   /**
    * Polyfill for event.propagationPath
    * @param {Event} event
@@ -205,14 +377,121 @@ let util = {
     return index;
   },
 
-  setMSPreventDefault(element) {
-    element.style['-ms-content-zooming'] = 'none';
-    element.style['touch-action'] = 'none';
+  /**
+   * Finds the closest ancestor of a node, including the node itself, that
+   * matches a CSS selector and is contained within the root element.
+   * @param {Node} node - The node to start from (e.g. an event's target).
+   * @param {String} selector - The CSS selector to match.
+   * @param {Element} root - The element the match has to be contained in,
+   *  which is not matched itself.
+   * @return {Element|null} - The matching element, or null if none matches.
+   */
+  getClosest(node, selector, root) {
+    let match = null;
+    for (; node; node = node.parentNode) {
+      if (node === root) {
+        return match;
+      }
+
+      if (!match && node.nodeType === 1) {
+        const matches = node.matches || node.msMatchesSelector ||
+          node.webkitMatchesSelector;
+        if (matches.call(node, selector)) {
+          match = node;
+        }
+      }
+    }
+
+    return null;
   },
 
-  removeMSPreventDefault(element) {
-    element.style['-ms-content-zooming'] = '';
-    element.style['touch-action'] = '';
+  /**
+   * Parses a CSS touch-action value into the browser behaviours it allows.
+   * @param {String} value - The touch-action value (e.g. 'pan-y pinch-zoom').
+   * @return {Array} - The allowed behaviours, among pan-left, pan-right,
+   *  pan-up, pan-down, pinch-zoom and double-tap-zoom.
+   */
+  parseTouchAction(value) {
+    const allowed = [];
+    value.split(' ').forEach((token) => {
+      (TOUCH_ACTIONS[token] || []).forEach((behaviour) => {
+        if (allowed.indexOf(behaviour) === -1) {
+          allowed.push(behaviour);
+        }
+      });
+    });
+    return allowed;
+  },
+
+  /**
+   * Combines several touch-action values into the one that only allows the
+   * browser behaviours allowed by all of them.
+   * @param {Array} values - The touch-action values.
+   * @return {String} - The combined touch-action value.
+   */
+  intersectTouchActions(values) {
+    let allowed = TOUCH_ACTIONS.auto;
+    values.forEach((value) => {
+      const parsed = util.parseTouchAction(value);
+      allowed = allowed.filter((behaviour) => {
+        return parsed.indexOf(behaviour) !== -1;
+      });
+    });
+
+    const value = Object.keys(TOUCH_ACTIONS).find((token) => {
+      return TOUCH_ACTIONS[token].length === allowed.length &&
+        TOUCH_ACTIONS[token].every((behaviour) => {
+          return allowed.indexOf(behaviour) !== -1;
+        });
+    });
+    if (value) {
+      return value;
+    }
+
+    // Prefer the shorthands when both directions of an axis are allowed.
+    return ['pan-x', 'pan-y', 'pan-left', 'pan-right', 'pan-up', 'pan-down',
+      'pinch-zoom'].reduce((tokens, token) => {
+        const behaviours = TOUCH_ACTIONS[token];
+        const covered = tokens.some((other) => {
+          return TOUCH_ACTIONS[other].indexOf(behaviours[0]) !== -1;
+        });
+        if (!covered && behaviours.every((behaviour) => {
+          return allowed.indexOf(behaviour) !== -1;
+        })) {
+          tokens.push(token);
+        }
+        return tokens;
+      }, []).join(' ');
+  },
+
+  /**
+   * Sets the touch-action of an element, which decides the behaviours the
+   * browser carries on with for touches starting on it.
+   * @param {Element} element
+   * @param {String} value - The touch-action value, or an empty string to
+   *  fall back to the touch-action of the stylesheets.
+   */
+  setTouchAction(element, value) {
+    element.style['-ms-touch-action'] = value;
+    element.style['touch-action'] = value;
+  },
+
+  /**
+   * Determines the direction of a movement, along the axis it moved
+   * furthest on.
+   * @param {Number} x0
+   * @param {Number} y0
+   * @param {Number} x1
+   * @param {Number} y1
+   * @return {String} - The direction ( left | right | up | down ).
+   */
+  getDirection(x0, y0, x1, y1) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      return (dx < 0) ? 'left' : 'right';
+    }
+    return (dy < 0) ? 'up' : 'down';
   },
 
   preventDefault(event) {
@@ -221,7 +500,24 @@ let util = {
     } else {
       event.returnValue = false;
     }
-  }
+  },
+
+  /**
+   * Retrieves the error to reject with once a signal is aborted: the reason
+   * it was aborted with, or an error named 'AbortError' as fetch rejects
+   * with. Without a signal (e.g. once a region is destroyed), the latter.
+   * @param {AbortSignal} [signal] - The aborted signal.
+   * @return {Error}
+   */
+  getAbortError(signal) {
+    if (signal && typeof signal.reason !== 'undefined') {
+      return signal.reason;
+    }
+
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  },
 };
 
 export default util;
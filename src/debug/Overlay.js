@@ -0,0 +1,324 @@
+/**
+ * @file Overlay.js
+ * Contains the Overlay class
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FLASH_MS = 600;
+const COLORS = Object.freeze({
+  input: '#e91e63',
+  matched: '#4caf50',
+  bound: '#9e9e9e',
+});
+
+/**
+ * A debugging aid drawn over the page for a Region. It draws the inputs on
+ * the region and their trails, and outlines the bound elements, those under
+ * the inputs standing out. A panel lists each binding's gesture with its
+ * progress and the last data it emitted, and the gestures are flashed as
+ * they are dispatched. The overlay is redrawn on the region's clock, once a
+ * frame at most, and lets inputs through to the page.
+ * @example
+ * const overlay = debug(region);
+ * // ...
+ * overlay.destroy();
+ * @class Overlay
+ */
+class Overlay {
+  /**
+   * Constructor function for the Overlay class.
+   * @param {Region} region - The region to debug.
+   */
+  constructor(region) {
+    /**
+     * The region being debugged.
+     * @type {Region}
+     */
+    this.region = region;
+
+    /**
+     * The trail of each input since it started, holding the input and the
+     * positions it went through.
+     * @type {Array}
+     */
+    this.trails = [];
+
+    /**
+     * The last data emitted for each binding, keyed by the gesture's id.
+     * @type {Object}
+     */
+    this.payloads = {};
+
+    /**
+     * The gestures recently dispatched, each holding its name and the time
+     * it was dispatched at.
+     * @type {Array}
+     */
+    this.flashes = [];
+
+    /**
+     * The pending redraw, holding the clock it was requested from and its
+     * handle, or null.
+     * @type {Object|null}
+     */
+    this.frame = null;
+
+    /**
+     * The element containing the overlay, covering the viewport.
+     * @type {Element}
+     */
+    this.element = createElement('div', {
+      'class': 'zt-debug',
+      'style': 'position: fixed; left: 0; top: 0; width: 100%; ' +
+        'height: 100%; pointer-events: none; z-index: 2147483647; ' +
+        'font: 12px monospace;',
+    });
+
+    /**
+     * The drawing of the inputs, trails and bound elements.
+     * @type {Element}
+     */
+    this.canvas = createElement('svg', {
+      width: '100%',
+      height: '100%',
+      style: 'position: absolute; left: 0; top: 0;',
+    });
+
+    /**
+     * The panel listing the bindings' gestures.
+     * @type {Element}
+     */
+    this.panel = createElement('div', {
+      'class': 'zt-debug-panel',
+      'style': 'position: absolute; right: 0; top: 0; max-height: 100%; ' +
+        'overflow: hidden; padding: 4px; white-space: pre; ' +
+        'color: #fff; background: rgba(0, 0, 0, 0.6);',
+    });
+
+    /**
+     * The names of the gestures being flashed.
+     * @type {Element}
+     */
+    this.flash = createElement('div', {
+      'class': 'zt-debug-flash',
+      'style': 'position: absolute; left: 8px; top: 8px; ' +
+        'font-size: 24px; color: ' + COLORS.input + ';',
+    });
+
+    this.element.appendChild(this.canvas);
+    this.element.appendChild(this.panel);
+    this.element.appendChild(this.flash);
+    document.body.appendChild(this.element);
+    this.render();
+  }
+
+  /**
+   * Adds the current position of the inputs to their trails, dropping the
+   * trails of previous inputs. Called from the arbiter once the inputs have
+   * been updated.
+   * @param {Array} inputs - The inputs on the region.
+   */
+  track(inputs) {
+    this.trails = this.trails.filter((trail) => {
+      return inputs.indexOf(trail.input) !== -1;
+    });
+    inputs.forEach((input) => {
+      let trail = this.trails.filter((trail) => trail.input === input)[0];
+      if (!trail) {
+        trail = {input: input, points: []};
+        this.trails.push(trail);
+      }
+      trail.points.push({x: input.current.clientX, y: input.current.clientY});
+    });
+    this.refresh();
+  }
+
+  /**
+   * Keeps the data emitted for a binding and flashes its gesture. Called
+   * from the arbiter as data is emitted.
+   * @param {Binding} binding - The binding emitted to.
+   * @param {Object} data - The data emitted.
+   */
+  emitted(binding, data) {
+    const gesture = binding.gesture;
+    this.payloads[gesture.getId()] = data;
+    this.flashes.push({
+      name: (gesture.getType() || gesture.getId()) +
+        ((data.phase) ? ' ' + data.phase : ''),
+      time: this.region.state.clock.now(),
+    });
+    this.refresh();
+  }
+
+  /**
+   * Redraws the overlay on the next frame, unless it is already due to be.
+   */
+  refresh() {
+    if (this.frame) {
+      return;
+    }
+
+    const clock = this.region.state.clock;
+    this.frame = {
+      clock: clock,
+      handle: clock.requestAnimationFrame(() => {
+        this.frame = null;
+        this.render();
+      }),
+    };
+  }
+
+  /**
+   * Draws the overlay from the state of the region.
+   */
+  render() {
+    const state = this.region.state;
+    const matched = (state.inputs.length > 0) ?
+      state.retrieveBindingsByInitialPos() : [];
+
+    clear(this.canvas);
+    state.bindings.forEach((binding) => {
+      const rect = binding.element.getBoundingClientRect();
+      const color = (matched.indexOf(binding) !== -1) ?
+        COLORS.matched : COLORS.bound;
+      this.canvas.appendChild(createElement('rect', {
+        'x': rect.left,
+        'y': rect.top,
+        'width': rect.width,
+        'height': rect.height,
+        'fill': 'none',
+        'stroke': color,
+        'stroke-dasharray': '4 2',
+      }));
+    });
+
+    this.trails.forEach((trail) => {
+      this.canvas.appendChild(createElement('polyline', {
+        'points': trail.points.map((point) => point.x + ',' + point.y)
+          .join(' '),
+        'fill': 'none',
+        'stroke': COLORS.input,
+        'stroke-opacity': 0.5,
+      }));
+    });
+
+    state.inputs.forEach((input) => {
+      this.canvas.appendChild(createElement('circle', {
+        cx: input.current.clientX,
+        cy: input.current.clientY,
+        r: 12,
+        fill: COLORS.input,
+        opacity: (input.getCurrentEventType() === 'end') ? 0.3 : 0.7,
+      }));
+    });
+
+    this.panel.textContent = state.bindings.map((binding) => {
+      const id = binding.gesture.getId();
+      const progress = state.inputs.map((input) => input.progress[id] || {});
+      return '' + (binding.gesture.getType() || id) + ' on ' +
+        getName(binding.element) + ((binding.target) ? ' target' : '') +
+        ((matched.indexOf(binding) !== -1) ? ' (under inputs)' : '') +
+        '\n  progress: ' + describe(progress) +
+        '\n  binding progress: ' + describe(binding.progress) +
+        '\n  region progress: ' + describe(state.progress[id] || {}) +
+        '\n  last emitted: ' + describe(this.payloads[id] || null);
+    }).join('\n');
+
+    const now = state.clock.now();
+    this.flashes = this.flashes.filter((flash) => {
+      return now - flash.time < FLASH_MS;
+    });
+    this.flash.textContent = this.flashes.map((flash) => flash.name)
+      .join('\n');
+    if (this.flashes.length > 0) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Removes the overlay from the page.
+   */
+  destroy() {
+    if (this.frame) {
+      this.frame.clock.cancelAnimationFrame(this.frame.handle);
+      this.frame = null;
+    }
+
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    if (this.region.overlay === this) {
+      this.region.overlay = null;
+    }
+  }
+}
+
+/**
+ * Creates an element of the overlay, in the SVG namespace unless it is a div.
+ * @param {String} name - The name of the element.
+ * @param {Object} attributes - The attributes of the element.
+ * @return {Element}
+ */
+function createElement(name, attributes) {
+  const element = (name === 'div') ?
+    document.createElement(name) : document.createElementNS(SVG_NS, name);
+  Object.keys(attributes).forEach((key) => {
+    element.setAttribute(key, attributes[key]);
+  });
+  return element;
+}
+
+/**
+ * Removes the children of an element.
+ * @param {Element} element
+ */
+function clear(element) {
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+}
+
+/**
+ * Names an element after its tag and id.
+ * @param {Element} element
+ * @return {String} - e.g. '<div#menu>'
+ */
+function getName(element) {
+  return '<' + element.nodeName.toLowerCase() +
+    ((element.id) ? '#' + element.id : '') + '>';
+}
+
+/**
+ * Describes a value in a single line of JSON, with elements named after
+ * their tag, numbers rounded and the browser events of inputs left out.
+ * @param {*} value
+ * @return {String}
+ */
+function describe(value) {
+  const seen = [];
+  return JSON.stringify(value, (key, item) => {
+    if (key === 'originalEvent') {
+      return undefined;
+    }
+
+    if (typeof item === 'number') {
+      return Math.round(item * 100) / 100;
+    }
+
+    if (item && typeof item === 'object') {
+      if (item.nodeType) {
+        return getName(item);
+      }
+
+      if (seen.indexOf(item) !== -1) {
+        return '[seen]';
+      }
+      seen.push(item);
+    }
+
+    return item;
+  });
+}
+
+export default Overlay;
@@ -0,0 +1,32 @@
+/**
+ * @file debug.js
+ * Contains the debug overlay, published separately as zingtouch/debug
+ */
+
+import Overlay from './Overlay.js';
+
+/**
+ * Draws a debug overlay over the page for a region, to find out why a
+ * gesture is or is not recognized. The overlay is attached to the region,
+ * which feeds it its inputs and dispatched gestures, and removes it once the
+ * region is destroyed. A region has a single overlay at most.
+ * @example
+ * const debug = require('zingtouch/debug');
+ * const overlay = debug(region);
+ * // ...
+ * overlay.destroy();
+ * @param {Region} region - The region to debug.
+ * @return {Overlay} - The overlay, which is removed with its destroy method.
+ */
+function debug(region) {
+  if (region.destroyed) {
+    throw new Error('Region ' + region.id + ' has been destroyed');
+  }
+
+  if (!region.overlay) {
+    region.overlay = new Overlay(region);
+  }
+  return region.overlay;
+}
+
+export default debug;
@@ -0,0 +1,9 @@
+/**
+ * @file main.js
+ * Entry point of the debug overlay, built separately from ZingTouch such
+ * that it stays out of production bundles. Exposes it as ZingTouch.debug on
+ * the ZingTouch object loaded before it.
+ */
+
+import debug from './debug.js';
+window.ZingTouch.debug = debug;
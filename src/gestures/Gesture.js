@@ -12,8 +12,16 @@ class Gesture {
   /**
    * Constructor function for the Gesture class.
    * @class Gesture
+   * @param {Object} [options] - The options object.
+   * @param {Function} [options.onStart] - Called as the gesture begins.
+   * @param {Function} [options.onMove] - Called as the gesture changes.
+   * @param {Function} [options.onEnd] - Called as the gesture ends.
+   * @param {Function} [options.onCancel] - Called as the gesture is
+   *  cancelled.
+   * @param {Boolean} [options.domEvents=true] - Whether the gesture is
+   *  emitted as DOM events, to the handlers bound with it.
    */
-  constructor() {
+  constructor(options) {
     /**
      * The generic string type of gesture ('expand'|'pan'|'pinch'|
      *  'rotate'|'swipe'|'tap').
@@ -28,6 +36,26 @@ class Gesture {
      * @type {String|null}
      */
     this.id = null;
+
+    /**
+     * The functions called synchronously as the gesture is emitted, with the
+     * data emitted and the binding it is emitted for. Each is called for the
+     * phase it is named after ( onStart | onMove | onEnd | onCancel ), such
+     * that a gesture recognized at once (e.g. a Tap) only calls onEnd.
+     * @type {Function|null}
+     */
+    this.onStart = (options && options.onStart) ? options.onStart : null;
+    this.onMove = (options && options.onMove) ? options.onMove : null;
+    this.onEnd = (options && options.onEnd) ? options.onEnd : null;
+    this.onCancel = (options && options.onCancel) ? options.onCancel : null;
+
+    /**
+     * Whether the gesture is emitted as DOM events. Without them, the
+     * gesture is only emitted to its callbacks.
+     * @type {Boolean}
+     */
+    this.domEvents = (options && typeof options.domEvents !== 'undefined') ?
+      options.domEvents : true;
   }
 
   /**
@@ -62,6 +90,14 @@ class Gesture {
     return (this.id !== null) ? this.id : this.type;
   }
 
+  /**
+   * Determines whether the gesture has any callback.
+   * @return {Boolean}
+   */
+  hasCallbacks() {
+    return !!(this.onStart || this.onMove || this.onEnd || this.onCancel);
+  }
+
   /**
    * Updates internal properties with new ones, only if the properties exist.
    * @param {Object} object
@@ -103,16 +139,99 @@ class Gesture {
     return null;
   }
 
+  /**
+   * cancel() - Event hook for the cancellation of a gesture, e.g. when the
+   * browser interrupts the inputs or an input leaves the region. Allows the
+   * gesture to clean up its progress before the inputs are reset.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @return {null|Object}  - Default of null. Data returned by a gesture in
+   * progress is emitted with its cancelled phase.
+   */
+  cancel(inputs, state, element) {
+    return null;
+  }
+
+  /**
+   * tick() - Event hook for a tick requested through state.requestTick(),
+   * allowing a gesture to emit without waiting for another input event.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding that requested the tick.
+   * @return {null|Object}  - Default of null
+   */
+  tick(inputs, state, element, binding) {
+    return null;
+  }
+
+  /**
+   * isPossible() - Determines if the gesture could still be recognized.
+   * Bindings that require this gesture to fail are held back while it is.
+   * By default a gesture is possible while its inputs are on the screen.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} [binding] - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture is still possible
+   */
+  isPossible(inputs, state, element, binding) {
+    return state.numActiveInputs() > 0 &&
+      this.isValid(inputs, state, element, binding);
+  }
+
+  /**
+   * hasFailed() - Determines if a gesture in progress failed, rather than
+   * completed, once it is no longer possible. A failed gesture ends with the
+   * cancelled phase (e.g. a Press moving too far before its duration).
+   * By default a gesture completes.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture has failed
+   */
+  hasFailed(inputs, state, element, binding) {
+    return false;
+  }
+
+  /**
+   * getTouchAction() - Returns the touch-action a binding to this gesture
+   * applies to its element unless the binding specifies its own. It lists the
+   * browser behaviours that are left to the browser.
+   * @return {String} - The CSS touch-action value.
+   */
+  getTouchAction() {
+    return 'none';
+  }
+
+  /**
+   * claims() - Determines if the gesture claims the inputs from the browser,
+   * in which case the browser's default behaviour is prevented. By default a
+   * gesture claims every input on the element it is bound to.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @return {boolean} - If the gesture claims the inputs
+   */
+  claims(inputs, state, element) {
+    return true;
+  }
+
 	/**
 	* isValid() - Pre-checks to ensure the invariants of a gesture are satisfied.
+	* Every input has to start on the binding. @see State.isInputOn
 	* @param {Array} inputs - The array of Inputs on the screen
 	* @param {Object} state - The state object of the current region.
 	* @param {Element} element - The element associated to the binding.
+	* @param {Binding} [binding] - The binding the gesture is bound with.
 	* @return {boolean} - If the gesture is valid
 	*/
-	isValid(inputs, state, element) {
+	isValid(inputs, state, element, binding) {
     return inputs.every( input => {
-        return util.isInside(input.initial.x, input.initial.y, element);
+        return (binding) ? state.isInputOn(input, binding) :
+          util.isInside(input.initial.x, input.initial.y, element);
     });
   }
 
@@ -8,6 +8,11 @@ import util from './../core/util.js';
 
 const DEFAULT_INPUTS = 1;
 const DEFAULT_MIN_THRESHOLD = 1;
+const DEFAULT_FRICTION = 0.95;
+const FRAME_MS = 16;
+const VELOCITY_WINDOW_MS = 100;
+const MIN_MOMENTUM_VELOCITY = 0.02;
+const DIRECTIONS = ['left', 'right', 'up', 'down'];
 
 /**
  * A Pan is defined as a normal movement in any direction on a screen.
@@ -23,9 +28,17 @@ class Pan extends Gesture {
    *  Pan gesture.
    * @param {Number} [options.threshold=1] - The minimum number of
    * pixels the input has to move to trigger this gesture.
+   * @param {Boolean} [options.momentum=false] - Whether the Pan carries on
+   *  with a decaying velocity once the inputs are released.
+   * @param {Number} [options.friction=0.95] - The fraction of the velocity
+   *  kept for every 16ms of momentum.
+   * @param {Boolean} [options.lockAxis=false] - Whether the Pan locks to the
+   *  axis it first moves along.
+   * @param {Array} [options.directions] - The directions ( left | right |
+   *  up | down ) the Pan may first move in. All directions by default.
    */
   constructor(options) {
-    super();
+    super(options);
 
     /**
      * The type of the Gesture.
@@ -47,6 +60,39 @@ class Pan extends Gesture {
      */
     this.threshold = (options && options.threshold) ?
       options.threshold : DEFAULT_MIN_THRESHOLD;
+
+    /**
+     * Whether the Pan keeps emitting with a decaying velocity after its
+     * inputs are released, until it comes to a rest or a new input starts
+     * on the region.
+     * @type {Boolean}
+     */
+    this.momentum = (options && options.momentum) ?
+      options.momentum : false;
+
+    /**
+     * The fraction of the velocity kept for every 16ms of momentum. The lower
+     * the friction, the sooner the Pan comes to a rest.
+     * @type {Number}
+     */
+    this.friction = (options && options.friction) ?
+      options.friction : DEFAULT_FRICTION;
+
+    /**
+     * Whether the Pan locks to the horizontal or vertical axis, whichever it
+     * first moves along once the threshold is passed.
+     * @type {Boolean}
+     */
+    this.lockAxis = (options && options.lockAxis) ?
+      options.lockAxis : false;
+
+    /**
+     * The directions the Pan may first move in. A Pan first moving in any
+     * other direction fails, and leaves the input to the browser.
+     * @type {Array}
+     */
+    this.directions = (options && options.directions) ?
+      options.directions : DIRECTIONS;
   }
 
   /**
@@ -62,6 +108,7 @@ class Pan extends Gesture {
         x: input.current.x,
         y: input.current.y,
       };
+      progress.moves = [];
     });
   }
 
@@ -72,7 +119,8 @@ class Pan extends Gesture {
    * @param {Array} inputs - The array of Inputs on the screen
    * @param {Object} state - The state object of the current region.
    * @param {Element} element - The element associated to the binding.
-   * @return {Object} - Returns the distance in pixels between the two inputs.
+   * @return {Object | null} - The data of each input that moved past the
+   *  threshold, or null if none did or the Pan has failed.
    */
   move(inputs, state, element) {
     if (this.numInputs !== inputs.length) return null;
@@ -83,54 +131,45 @@ class Pan extends Gesture {
 
     inputs.forEach( (input, index) => {
       const progress = input.getGestureProgress(this.getId());
+      if (this.momentum && progress.active) {
+        trackMove(progress, input.current);
+      }
+
+      let current = lockPosition(input, progress.axis);
       const distanceFromLastEmit = util.distanceBetweenTwoPoints(
         progress.lastEmitted.x,
+        current.x,
         progress.lastEmitted.y,
-        input.current.x,
-        input.current.y
+        current.y
       );
       const reachedThreshold = distanceFromLastEmit >= this.threshold;
 
-      if (progress.active && reachedThreshold) {
-        output.data[index] = packData( input, progress );
-        progress.lastEmitted.x = input.current.x;
-        progress.lastEmitted.y = input.current.y;
-      } 
-    });
+      // The first movement decides the direction of the Pan.
+      if (progress.active && reachedThreshold && !progress.direction) {
+        progress.direction = util.getDirection(input.initial.x,
+          input.initial.y, input.current.x, input.current.y);
+        if (this.directions.indexOf(progress.direction) === -1) {
+          progress.active = false;
+          progress.rejected = true;
+          return;
+        }
 
-    return output;
+        if (this.lockAxis) {
+          progress.axis = (progress.direction === 'left' ||
+            progress.direction === 'right') ? 'x' : 'y';
+          current = lockPosition(input, progress.axis);
+        }
+      }
 
-    function packData( input, progress ) {
-      const distanceFromOrigin = util.distanceBetweenTwoPoints(
-        input.initial.x,
-        input.current.x,
-        input.initial.y,
-        input.current.y
-      );
-      const directionFromOrigin = util.getAngle(
-        input.initial.x,
-        input.initial.y,
-        input.current.x,
-        input.current.y
-      );
-      const currentDirection = util.getAngle(
-        progress.lastEmitted.x,
-        progress.lastEmitted.y,
-        input.current.x,
-        input.current.y
-      );
-      const change = {
-        x: input.current.x - progress.lastEmitted.x,
-        y: input.current.y - progress.lastEmitted.y,
-      };
+      if (progress.active && reachedThreshold) {
+        output.data[index] = packData(
+          {initial: input.initial, current: current}, progress, element);
+        progress.lastEmitted.x = current.x;
+        progress.lastEmitted.y = current.y;
+      }
+    });
 
-      return {
-        distanceFromOrigin,
-        directionFromOrigin,
-        currentDirection,
-        change,
-      };
-    }
+    return (output.data.length > 0) ? output : null;
   }
 
   /* move*/
@@ -141,11 +180,46 @@ class Pan extends Gesture {
    * inputs will not trigger the event until all inputs have reached the
    * touchend event. Any touchend->touchstart events that occur before all
    * inputs are fully off the screen should not fire.
+   * With momentum, the Pan carries on once all of the inputs have ended.
    * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
    * @return {null} - null if the gesture is not to be emitted,
    *  Object with information otherwise.
    */
-  end(inputs) {
+  end(inputs, state, element, binding) {
+    const released = this.momentum &&
+      this.numInputs === inputs.length &&
+      state.numActiveInputs() === 0 &&
+      !isRejected(inputs, this.getId());
+
+    if (released) {
+      const time = Math.max(...inputs.map((input) => input.current.time));
+      const points = inputs.map((input) => {
+        const progress = input.getGestureProgress(this.getId());
+        const current = lockPosition(input, progress.axis);
+        const velocity = getVelocity(progress.moves || [], time);
+        return {
+          initial: {x: input.initial.x, y: input.initial.y},
+          x: current.x,
+          y: current.y,
+          velocity: {
+            x: (progress.axis === 'y') ? 0 : velocity.x,
+            y: (progress.axis === 'x') ? 0 : velocity.y,
+          },
+        };
+      });
+
+      if (isMoving(points)) {
+        binding.progress.momentum = {
+          time: time,
+          points: points,
+        };
+        state.requestFrame(binding);
+      }
+    }
+
     inputs.forEach((input) => {
       const progress = input.getGestureProgress(this.getId());
       progress.active = false;
@@ -154,6 +228,255 @@ class Pan extends Gesture {
   }
 
   /* end*/
+
+  /**
+   * Event hook for the animation frames requested while the Pan has
+   * momentum. Moves the released inputs on with their decaying velocity.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding that requested the frame.
+   * @return {null|Object} - null if the gesture is not to be emitted,
+   *  Object with information otherwise. The data of each input also holds
+   *  its current velocity.
+   */
+  tick(inputs, state, element, binding) {
+    const progress = binding.progress;
+    const momentum = progress.momentum;
+    if (!momentum) {
+      return null;
+    }
+
+    const time = state.clock.now();
+    const elapsed = time - momentum.time;
+    const decay = Math.pow(this.friction, elapsed / FRAME_MS);
+    momentum.time = time;
+
+    const output = {
+      data: [],
+      momentum: true,
+    };
+
+    momentum.points.forEach((point, index) => {
+      const lastEmitted = {x: point.x, y: point.y};
+      point.x += point.velocity.x * elapsed;
+      point.y += point.velocity.y * elapsed;
+      point.velocity.x *= decay;
+      point.velocity.y *= decay;
+
+      output.data[index] = packData(
+        {initial: point.initial, current: point}, {lastEmitted}, element);
+      output.data[index].velocity = {
+        x: point.velocity.x,
+        y: point.velocity.y,
+      };
+    });
+
+    if (isMoving(momentum.points)) {
+      state.requestFrame(binding);
+    } else {
+      progress.momentum = null;
+    }
+
+    return output;
+  }
+
+  /* tick*/
+
+  /**
+   * Event hook for the cancellation of a gesture, including a new input
+   * starting on the region while the Pan has momentum. Stops the momentum.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being cancelled.
+   * @return {null} - Pan does not emit any data when cancelled.
+   */
+  cancel(inputs, state, element, binding) {
+    binding.progress.momentum = null;
+    state.cancelTick(binding);
+    return null;
+  }
+
+  /* cancel*/
+
+  /**
+   * Determines if the gesture could still be recognized, which includes
+   * while the Pan has momentum.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} [binding] - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture is still possible
+   */
+  isPossible(inputs, state, element, binding) {
+    if (binding && binding.progress.momentum) {
+      return true;
+    }
+
+    return !isRejected(inputs, this.getId()) &&
+      super.isPossible(inputs, state, element, binding);
+  }
+
+  /**
+   * Returns the touch-action applied to the elements bound to the Pan. A Pan
+   * limited to the horizontal directions leaves vertical panning to the
+   * browser, and the other way around.
+   * @return {String} - The CSS touch-action value.
+   */
+  getTouchAction() {
+    const horizontal = this.directions.every((direction) => {
+      return direction === 'left' || direction === 'right';
+    });
+    const vertical = this.directions.every((direction) => {
+      return direction === 'up' || direction === 'down';
+    });
+
+    if (horizontal) {
+      return 'pan-y';
+    } else if (vertical) {
+      return 'pan-x';
+    }
+    return 'none';
+  }
+
+  /**
+   * Determines if the gesture claims the inputs from the browser. A Pan
+   * limited to some directions only claims the inputs once it has moved in
+   * one of them, such that the browser can carry on with its default
+   * behaviour (e.g. scrolling) otherwise.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @return {boolean} - If the gesture claims the inputs
+   */
+  claims(inputs) {
+    if (isRejected(inputs, this.getId())) {
+      return false;
+    }
+
+    return this.directions.length === DIRECTIONS.length ||
+      inputs.some((input) => {
+        return input.getGestureProgress(this.getId()).direction;
+      });
+  }
+}
+
+/**
+ * Determines if any of the inputs first moved in a rejected direction.
+ * @param {Array} inputs - The array of Inputs on the screen.
+ * @param {String} id - The id of the Pan.
+ * @return {boolean}
+ */
+function isRejected(inputs, id) {
+  return inputs.some((input) => {
+    return input.getGestureProgress(id).rejected;
+  });
+}
+
+/**
+ * Retrieves the position of an input, locked to an axis if any.
+ * @param {Input} input
+ * @param {String} [axis] - The axis ( x | y ) the Pan is locked to.
+ * @return {Object} - The x and y coordinates.
+ */
+function lockPosition(input, axis) {
+  return {
+    x: (axis === 'y') ? input.initial.x : input.current.x,
+    y: (axis === 'x') ? input.initial.y : input.current.y,
+  };
+}
+
+/**
+ * Packs the data of an input that has moved since it was last emitted.
+ * @param {Input} input - The input, or any object with an initial and
+ *  current position.
+ * @param {Object} progress - The progress of the input, holding the position
+ *  it was last emitted at.
+ * @param {Element} element - The element associated to the binding.
+ * @return {Object} - The data emitted for the input.
+ */
+function packData( input, progress, element ) {
+  const distanceFromOrigin = util.distanceBetweenTwoPoints(
+    input.initial.x,
+    input.current.x,
+    input.initial.y,
+    input.current.y
+  );
+  const directionFromOrigin = util.getAngle(
+    input.initial.x,
+    input.initial.y,
+    input.current.x,
+    input.current.y
+  );
+  const currentDirection = util.getAngle(
+    progress.lastEmitted.x,
+    progress.lastEmitted.y,
+    input.current.x,
+    input.current.y
+  );
+  const change = {
+    x: input.current.x - progress.lastEmitted.x,
+    y: input.current.y - progress.lastEmitted.y,
+  };
+  const localPosition = util.getLocalPosition(
+    input.current.x,
+    input.current.y,
+    element
+  );
+
+  return {
+    distanceFromOrigin,
+    directionFromOrigin,
+    currentDirection,
+    change,
+    localPosition,
+  };
+}
+
+/**
+ * Records the position and time of a move, keeping only the moves recent
+ * enough to measure the velocity at release.
+ * @param {Object} progress - The progress of the input.
+ * @param {ZingEvent} event - The current event of the input.
+ */
+function trackMove(progress, event) {
+  const time = event.time;
+  progress.moves.push({time: time, x: event.x, y: event.y});
+  while (time - progress.moves[0].time > VELOCITY_WINDOW_MS) {
+    progress.moves.shift();
+  }
+}
+
+/**
+ * Calculates the velocity of an input from its recent moves. An input that
+ * came to a rest before it was released has no velocity.
+ * @param {Array} moves - The recent moves of the input.
+ * @param {Number} time - The time of release.
+ * @return {Object} - The x and y velocity in pixels per millisecond.
+ */
+function getVelocity(moves, time) {
+  const first = moves[0];
+  const last = moves[moves.length - 1];
+  if (!first || first === last || time - last.time > VELOCITY_WINDOW_MS ||
+    last.time === first.time) {
+    return {x: 0, y: 0};
+  }
+
+  return {
+    x: (last.x - first.x) / (last.time - first.time),
+    y: (last.y - first.y) / (last.time - first.time),
+  };
+}
+
+/**
+ * Determines if any of the points still moves fast enough to carry on.
+ * @param {Array} points - The points with momentum.
+ * @return {boolean}
+ */
+function isMoving(points) {
+  return points.some((point) => {
+    return Math.abs(point.velocity.x) >= MIN_MOMENTUM_VELOCITY ||
+      Math.abs(point.velocity.y) >= MIN_MOMENTUM_VELOCITY;
+  });
 }
 
 export default Pan;
@@ -19,7 +19,7 @@ class Pinch extends Gesture {
    * @param {Object} options
    */
   constructor(options) {
-    super();
+    super(options);
 
     /**
      * The type of the Gesture.
@@ -39,9 +39,13 @@ class Pinch extends Gesture {
    * Event hook for the start of a gesture. Initialized the lastEmitted
    * gesture and stores it in the first input for reference events.
    * @param {Array} inputs
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding the gesture is bound with.
+   * @return {null}
    */
-  start(inputs, state, element) {
-    if(!this.isValid(inputs, state, element)) {
+  start(inputs, state, element, binding) {
+    if(!this.isValid(inputs, state, element, binding)) {
       return null;
     }
     if (inputs.length === DEFAULT_INPUTS) {
@@ -86,6 +90,8 @@ class Pinch extends Gesture {
         return {
           distance: currentDistance,
           center: centerPoint,
+          localCenter: util.getLocalPosition(
+            centerPoint.x, centerPoint.y, element),
           change: change,
         };
       }
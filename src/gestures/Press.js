@@ -0,0 +1,250 @@
+/**
+ * @file Press.js
+ * Contains the Press class
+ */
+
+import Gesture from './Gesture.js';
+import util from './../core/util.js';
+
+const DEFAULT_INPUTS = 1;
+const DEFAULT_DURATION_MS = 500;
+const DEFAULT_MOVE_PX_TOLERANCE = 10;
+
+/**
+ * A Press is defined as inputs being held down, without moving, for a period
+ * of time. Unlike a Tap, the Press is emitted while the inputs are still on
+ * the screen.
+ * @class Press
+ */
+class Press extends Gesture {
+  /**
+   * Constructor function for the Press class.
+   * @param {Object} [options] - The options object.
+   * @param {Number} [options.numInputs=1] - Number of inputs for the
+   *  Press gesture.
+   * @param {Number} [options.duration=500] - The time in milliseconds the
+   *  inputs have to be held for until the Press is emitted.
+   * @param {Number} [options.tolerance=10] - The tolerance in pixels
+   *  a user can move.
+   * @param {Number} [options.progressInterval=0] - The time in milliseconds
+   *  between hold-progress events emitted before the duration is reached.
+   *  No progress events are emitted if it is 0.
+   */
+  constructor(options) {
+    super(options);
+
+    /**
+     * The type of the Gesture.
+     * @type {String}
+     */
+    this.type = 'press';
+
+    /**
+     * The number of inputs to trigger a Press can be variable,
+     * and the maximum number being a factor of the browser.
+     * @type {Number}
+     */
+    this.numInputs = (options && options.numInputs) ?
+      options.numInputs : DEFAULT_INPUTS;
+
+    /**
+     * The time in milliseconds the inputs have to be held for. The duration
+     * starts to count down when the expected number of inputs are on the
+     * screen.
+     * @type {Number}
+     */
+    this.duration = (options && options.duration) ?
+      options.duration : DEFAULT_DURATION_MS;
+
+    /**
+     * A move tolerance in pixels allows some slop between a user's start
+     * position and where the input is being held.
+     * @type {Number}
+     */
+    this.tolerance = (options && options.tolerance) ?
+      options.tolerance : DEFAULT_MOVE_PX_TOLERANCE;
+
+    /**
+     * The time in milliseconds between hold-progress events, or 0 if only
+     * the completed Press is emitted.
+     * @type {Number}
+     */
+    this.progressInterval = (options && options.progressInterval) ?
+      options.progressInterval : 0;
+  }
+
+  /* constructor*/
+
+  /**
+   * Event hook for the start of a gesture. Starts counting down the duration
+   * once the expected number of inputs are on the screen. Any other number of
+   * inputs fails the Press.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null} - Press does not trigger on a start event.
+   */
+  start(inputs, state, element, binding) {
+    if (inputs.length === this.numInputs) {
+      binding.progress.start = Math.max(...inputs.map((input) => {
+        return input.current.time;
+      }));
+      binding.progress.held = true;
+      binding.progress.failed = false;
+      this.requestNextTick(0, state, binding);
+    } else {
+      fail(binding);
+    }
+
+    return null;
+  }
+
+  /* start*/
+
+  /**
+   * Event hook for the move of a gesture. Fails the Press if any of the
+   * inputs moves outside of the tolerance from where it started.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null} - Press does not trigger on a move event.
+   */
+  move(inputs, state, element, binding) {
+    const moved = inputs.some((input) => {
+      return !util.isWithin(
+        input.current.x,
+        input.current.y,
+        input.initial.x,
+        input.initial.y,
+        this.tolerance);
+    });
+
+    if (moved) {
+      fail(binding);
+    }
+
+    return null;
+  }
+
+  /* move*/
+
+  /**
+   * Event hook for the end of a gesture. Any input leaving the screen before
+   * the duration is reached fails the Press.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null} - Press does not trigger on an end event.
+   */
+  end(inputs, state, element, binding) {
+    fail(binding);
+    return null;
+  }
+
+  /* end*/
+
+  /**
+   * Event hook for the ticks requested while the inputs are held. Emits a
+   * hold-progress event for every tick before the duration is reached, and
+   * the completed Press once it is, which ends the gesture. The time held is
+   * measured with the region's clock from the start of the Press.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding that requested the tick.
+   * @return {null|Object} - null if the gesture is not to be emitted,
+   * Object with information otherwise. Returns the time held so far and the
+   * progress towards the duration, between 0 and 1.
+   */
+  tick(inputs, state, element, binding) {
+    if (!binding.progress.held ||
+      state.numActiveInputs() !== this.numInputs) {
+      return null;
+    }
+
+    const elapsed = state.clock.now() - binding.progress.start;
+    if (elapsed >= this.duration) {
+      binding.progress.held = false;
+    } else {
+      this.requestNextTick(elapsed, state, binding);
+    }
+
+    return {
+      interval: elapsed,
+      progress: Math.min(elapsed / this.duration, 1),
+    };
+  }
+
+  /* tick*/
+
+  /**
+   * Determines if the press could still be recognized, which is while its
+   * inputs are being held and before it has completed.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} [binding] - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture is still possible
+   */
+  isPossible(inputs, state, element, binding) {
+    const held = inputs.length < this.numInputs || binding.progress.held;
+    return held && super.isPossible(inputs, state, element, binding);
+  }
+
+  /**
+   * Determines if the press failed rather than completed, which is when its
+   * inputs moved or were released before the duration was reached.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture has failed
+   */
+  hasFailed(inputs, state, element, binding) {
+    return !!binding.progress.failed;
+  }
+
+  /**
+   * Requests the next tick, which is either the next hold-progress event or
+   * the end of the duration, whichever comes first.
+   * @param {Number} elapsed - The time in milliseconds held so far.
+   * @param {Object} state - The state object of the current region.
+   * @param {Binding} binding - The binding being interpreted.
+   */
+  requestNextTick(elapsed, state, binding) {
+    const remaining = this.duration - elapsed;
+    state.requestTick(binding, (this.progressInterval > 0) ?
+      Math.min(this.progressInterval, remaining) : remaining);
+  }
+
+  /**
+   * Event hook for the cancellation of a gesture. Stops the inputs from being
+   * held, such that any pending tick will not emit.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being cancelled.
+   * @return {null} - Press does not emit any data when cancelled.
+   */
+  cancel(inputs, state, element, binding) {
+    binding.progress.held = false;
+    return null;
+  }
+}
+
+/**
+ * Fails the Press of a binding if its inputs are still being held, such that
+ * any pending tick will not emit, and a Press in progress is cancelled.
+ * @param {Binding} binding - The binding the Press is bound with.
+ */
+function fail(binding) {
+  if (binding.progress.held) {
+    binding.progress.held = false;
+    binding.progress.failed = true;
+  }
+}
+
+export default Press;
@@ -18,7 +18,7 @@ class Rotate extends Gesture {
    * Constructor function for the Rotate class.
    */
   constructor(options = {}) {
-    super();
+    super(options);
 
     /**
      * The type of the Gesture.
@@ -49,6 +49,9 @@ class Rotate extends Gesture {
    * from the initial right most point.
    * @return {Object} obj.distanceFromLast - The change of angle between the
    * last position and the current position.
+   * @return {Object} obj.pivot - The client position being rotated around.
+   * @return {Object} obj.localPivot - The position being rotated around,
+   *  relative to the element.
    */
   move(inputs, state, element) {
     const numActiveInputs = state.numActiveInputs();
@@ -97,6 +100,9 @@ class Rotate extends Gesture {
       angle: currentAngle,
       distanceFromOrigin: progress.distance,
       distanceFromLast: progress.change,
+      pivot: currentPivot,
+      localPivot: util.getLocalPosition(
+        currentPivot.x, currentPivot.y, element),
     };
   }
 
@@ -37,7 +37,7 @@ class Swipe extends Gesture {
    * track of for a swipe.
    */
   constructor(options) {
-    super();
+    super(options);
     /**
      * The type of the Gesture
      * @type {String}
@@ -71,9 +71,9 @@ class Swipe extends Gesture {
 
     /**
      * (EXPERIMENTAL) A value of time in milliseconds to distort between events.
-     * Browsers do not accurately measure time with the Date constructor in
-     * milliseconds, so consecutive events sometimes display the same timestamp
-     * but different x/y coordinates. This will distort a previous time
+     * Clocks that do not measure time precisely (e.g. browsers reducing the
+     * precision of timestamps) sometimes give consecutive events the same
+     * time but different x/y coordinates. This will distort a previous time
      * in such cases by the timeDistortion's value.
      * @type {number}
      */
@@ -106,7 +106,7 @@ class Swipe extends Gesture {
         }
 
         progress.moves.push({
-          time: new Date().getTime(),
+          time: inputs[i].current.time,
           x: inputs[i].current.x,
           y: inputs[i].current.y,
         });
@@ -147,15 +147,15 @@ class Swipe extends Gesture {
           // CHECK : Return if the input has not moved in maxRestTime ms.
 
           let currentMove = progress.moves.pop();
-          if ((new Date().getTime()) - currentMove.time > this.maxRestTime) {
+          if (inputs[i].current.time - currentMove.time > this.maxRestTime) {
             return null;
           }
 
           let lastMove;
           let index = progress.moves.length - 1;
 
-          /* Date is unreliable, so we retrieve the last move event where
-           the time is not the same. */
+          /* Consecutive events may share the same time, so we retrieve the
+           last move event where the time is not the same. */
           while (index !== -1) {
             if (progress.moves[index].time !== currentMove.time) {
               lastMove = progress.moves[index];
@@ -165,7 +165,7 @@ class Swipe extends Gesture {
             index--;
           }
 
-          /* If the date is REALLY unreliable, we apply a time distortion
+          /* If every event shares the same time, we apply a time distortion
            to the last event.
            */
           if (!lastMove) {
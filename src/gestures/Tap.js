@@ -10,6 +10,9 @@ const DEFAULT_MIN_DELAY_MS = 0;
 const DEFAULT_MAX_DELAY_MS = 300;
 const DEFAULT_INPUTS = 1;
 const DEFAULT_MOVE_PX_TOLERANCE = 10;
+const DEFAULT_TAPS = 1;
+const DEFAULT_MAX_INTERVAL_MS = 300;
+const DEFAULT_MAX_DISTANCE_PX = 20;
 
 /**
  * A Tap is defined as a touchstart to touchend event in quick succession.
@@ -26,9 +29,15 @@ class Tap extends Gesture {
    * @param {Number} [options.numInputs=1] - Number of inputs for Tap gesture.
    * @param {Number} [options.tolerance=10] - The tolerance in pixels
    *  a user can move.
+   * @param {Number} [options.taps=1] - The number of consecutive taps to
+   *  trigger the gesture (e.g. 2 for a double tap).
+   * @param {Number} [options.maxInterval=300] - The maximum delay between
+   *  the end of a tap and the start of the next one in milliseconds.
+   * @param {Number} [options.maxDistance=20] - The maximum distance in pixels
+   *  between consecutive taps.
    */
   constructor(options) {
-    super();
+    super(options);
 
     /**
      * The type of the Gesture.
@@ -71,21 +80,45 @@ class Tap extends Gesture {
      */
     this.tolerance = (options && options.tolerance) ?
       options.tolerance : DEFAULT_MOVE_PX_TOLERANCE;
+
+    /**
+     * The number of consecutive taps to trigger the gesture. Each tap has to
+     * satisfy the delay and tolerance constraints on its own.
+     * @type {Number}
+     */
+    this.taps = (options && options.taps) ?
+      options.taps : DEFAULT_TAPS;
+
+    /**
+     * The maximum delay in milliseconds between the end of a tap and the start
+     * of the next one for them to be counted as consecutive taps.
+     * @type {Number}
+     */
+    this.maxInterval = (options && options.maxInterval) ?
+      options.maxInterval : DEFAULT_MAX_INTERVAL_MS;
+
+    /**
+     * The maximum distance in pixels between consecutive taps for them to be
+     * counted as part of the same sequence.
+     * @type {Number}
+     */
+    this.maxDistance = (options && options.maxDistance) ?
+      options.maxDistance : DEFAULT_MAX_DISTANCE_PX;
   }
 
   /* constructor*/
 
   /**
    * Event hook for the start of a gesture. Keeps track of when the inputs
-   * trigger the start event.
+   * trigger the start event, as timed by the region's clock.
    * @param {Array} inputs - The array of Inputs on the screen.
    * @return {null} - Tap does not trigger on a start event.
    */
   start(inputs) {
     if (inputs.length === this.numInputs) {
       inputs.forEach((input) => {
-        let progress = input.getGestureProgress(this.type);
-        progress.start = new Date().getTime();
+        let progress = input.getGestureProgress(this.getId());
+        progress.start = input.current.time;
       });
     }
 
@@ -113,9 +146,9 @@ class Tap extends Gesture {
             previous.x,
             previous.y,
             this.tolerance)) {
-          let type = this.type;
+          let id = this.getId();
           inputs.forEach(function(input) {
-            input.resetProgress(type);
+            input.resetProgress(id);
           });
 
           return null;
@@ -132,13 +165,17 @@ class Tap extends Gesture {
    * Event hook for the end of a gesture.
    * Determines if this the tap event can be fired if the delay and tolerance
    * constraints are met. Also waits for all of the inputs to be off the screen
-   * before determining if the gesture is triggered.
+   * before determining if the gesture is triggered. Consecutive taps are
+   * counted in the region's progress, as the inputs are reset between taps.
    * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
    * @return {null|Object} - null if the gesture is not to be emitted,
    * Object with information otherwise. Returns the interval time between start
-   * and end events.
+   * and end events, and the number of consecutive taps.
    */
-  end(inputs) {
+  end(inputs, state, element, binding) {
     if (inputs.length !== this.numInputs) {
       return null;
     }
@@ -149,8 +186,9 @@ class Tap extends Gesture {
         return null;
       }
 
-      let progress = inputs[i].getGestureProgress(this.type);
-      if (!progress.start) {
+      let progress = inputs[i].getGestureProgress(this.getId());
+      if (typeof progress.start !== 'number') {
+        state.resetProgress(this.getId());
         return null;
       }
 
@@ -160,22 +198,100 @@ class Tap extends Gesture {
       }
     }
 
-    let interval = new Date().getTime() - startTime;
+    let endTime = Math.max(...inputs.map((input) => input.current.time));
+    let interval = endTime - startTime;
     if ((this.minDelay <= interval) && (this.maxDelay >= interval)) {
+      let sequence = this.countTap(
+        inputs[0].current, startTime, endTime, state);
+      if (sequence.count !== this.taps) {
+        // Wait for the next tap, after which the sequence has failed.
+        state.requestTick(binding, this.maxInterval);
+        return null;
+      }
+
       return {
         interval: interval,
+        taps: sequence.count,
       };
     } else {
-      let type = this.type;
+      let id = this.getId();
       inputs.forEach(function(input) {
-        input.resetProgress(type);
+        input.resetProgress(id);
       });
+      state.resetProgress(id);
 
       return null;
     }
   }
 
   /* end*/
+
+  /**
+   * Event hook for the tick requested after an incomplete sequence of taps.
+   * If the next tap has not started by then, the sequence has failed.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @return {null} - Tap does not trigger on a tick.
+   */
+  tick(inputs, state) {
+    if (state.numActiveInputs() === 0) {
+      state.resetProgress(this.getId());
+    }
+
+    return null;
+  }
+
+  /* tick*/
+
+  /**
+   * Determines if the tap could still be recognized, either because inputs
+   * are on the screen, or because a sequence of taps is waiting for the
+   * next one.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} [binding] - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture is still possible
+   */
+  isPossible(inputs, state, element, binding) {
+    const sequence = state.getGestureProgress(this.getId());
+    if (sequence.count > 0 && sequence.count < this.taps) {
+      return true;
+    }
+
+    return super.isPossible(inputs, state, element, binding);
+  }
+
+  /**
+   * Adds a completed tap to the sequence of consecutive taps, or starts a new
+   * sequence if it is too late or too far away from the previous tap.
+   * Every binding of this gesture is interpreted with the same end event, so
+   * a tap is only counted once per event.
+   * @param {ZingEvent} event - The end event of the tap.
+   * @param {Number} startTime - The time the tap started.
+   * @param {Number} endTime - The time the tap ended.
+   * @param {Object} state - The state object of the current region.
+   * @return {Object} - The sequence, containing the count of consecutive taps.
+   */
+  countTap(event, startTime, endTime, state) {
+    let sequence = state.getGestureProgress(this.getId());
+    if (sequence.event === event) {
+      return sequence;
+    }
+
+    let consecutive = (sequence.count > 0) &&
+      (sequence.count < this.taps) &&
+      (startTime - sequence.time <= this.maxInterval) &&
+      (util.distanceBetweenTwoPoints(
+        sequence.x, event.x, sequence.y, event.y) <= this.maxDistance);
+
+    sequence.count = (consecutive) ? sequence.count + 1 : 1;
+    sequence.event = event;
+    sequence.time = endTime;
+    sequence.x = event.x;
+    sequence.y = event.y;
+    return sequence;
+  }
 }
 
 export default Tap;
@@ -0,0 +1,291 @@
+/**
+ * @file Transform.js
+ * Contains the Transform class
+ */
+
+import Gesture from './Gesture.js';
+import util from './../core/util.js';
+
+const DEFAULT_MIN_INPUTS = 2;
+const HALF_CIRCLE_DEGREES = 180;
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * A Transform is defined as two or more inputs moving together, combining a
+ * pan, a pinch and a rotation into a single gesture. Each emitted frame
+ * reports the change since the previous frame, as well as the accumulated
+ * transform since the gesture began.
+ * @class Transform
+ */
+class Transform extends Gesture {
+  /**
+   * Constructor function for the Transform class.
+   * @param {Object} [options] - The options object.
+   * @param {Number} [options.minInputs=2] - The minimum number of inputs
+   *  for the Transform gesture.
+   */
+  constructor(options) {
+    super(options);
+
+    /**
+     * The type of the Gesture.
+     * @type {String}
+     */
+    this.type = 'transform';
+
+    /**
+     * The minimum number of inputs that have to be on the screen. Any number
+     * of inputs above the minimum takes part in the Transform.
+     * @type {Number}
+     */
+    this.minInputs = (options && options.minInputs) ?
+      options.minInputs : DEFAULT_MIN_INPUTS;
+  }
+
+  /* constructor*/
+
+  /**
+   * Event hook for the start of a gesture. Starts a new transform if the
+   * inputs are not already part of one, and otherwise carries on measuring
+   * from the new set of inputs. The transform is kept on the binding, apart
+   * from other bindings to the same gesture.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null} - Transform does not trigger on a start event.
+   */
+  start(inputs, state, element, binding) {
+    const progress = binding.progress;
+    const tracked = progress.inputs && inputs.some((input) => {
+      return progress.inputs.indexOf(input) !== -1;
+    });
+    if (!tracked) {
+      progress.matrix = IDENTITY_MATRIX.slice();
+      progress.layout = util.getLayoutPosition(element);
+    }
+
+    progress.inputs = inputs.slice();
+    this.measureFrom(inputs, binding);
+    return null;
+  }
+
+  /* start*/
+
+  /**
+   * Event hook for the move of a gesture. Compares the positions of the
+   * inputs to the previous frame, measured around their centroid.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null|Object} - null if the gesture is not to be emitted,
+   *  Object with information otherwise.
+   */
+  move(inputs, state, element, binding) {
+    const progress = binding.progress;
+    const points = getActivePoints(inputs);
+    if (!progress.matrix || points.length < this.minInputs) {
+      progress.points = null;
+      return null;
+    }
+
+    const previous = progress.points;
+    progress.points = points;
+    if (!previous || !samePoints(previous, points)) {
+      return null;
+    }
+
+    const moved = points.some((point, index) => {
+      return point.x !== previous[index].x || point.y !== previous[index].y;
+    });
+    if (!moved) {
+      return null;
+    }
+
+    const previousCentroid = getCentroid(previous);
+    const centroid = getCentroid(points);
+    const previousSpread = getSpread(previous, previousCentroid);
+    const spread = getSpread(points, centroid);
+    const scale = (previousSpread > 0) ? spread / previousSpread : 1;
+
+    let rotation = 0;
+    if (points.length > 1) {
+      points.forEach((point, index) => {
+        rotation += getAngleChange(
+          previous[index], previousCentroid, point, centroid);
+      });
+      rotation = rotation / points.length;
+    }
+
+    const radians = rotation * Math.PI / HALF_CIRCLE_DEGREES;
+    const a = scale * Math.cos(radians);
+    const b = scale * Math.sin(radians);
+    const from = {
+      x: previousCentroid.x - progress.layout.x,
+      y: previousCentroid.y - progress.layout.y,
+    };
+    const frame = [
+      a, b, -b, a,
+      centroid.x - progress.layout.x - (a * from.x - b * from.y),
+      centroid.y - progress.layout.y - (b * from.x + a * from.y),
+    ];
+    progress.matrix = multiply(frame, progress.matrix);
+
+    return {
+      translation: {
+        x: centroid.x - previousCentroid.x,
+        y: centroid.y - previousCentroid.y,
+      },
+      scale: scale,
+      rotation: rotation,
+      centroid: centroid,
+      localCentroid: util.getLocalPosition(centroid.x, centroid.y, element),
+      numInputs: points.length,
+      matrix: progress.matrix.slice(),
+    };
+  }
+
+  /* move*/
+
+  /**
+   * Event hook for the end of a gesture. Carries on measuring from the
+   * inputs remaining on the screen.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} binding - The binding being interpreted.
+   * @return {null} - Transform does not trigger on an end event.
+   */
+  end(inputs, state, element, binding) {
+    this.measureFrom(inputs, binding);
+    return null;
+  }
+
+  /* end*/
+
+  /**
+   * Sets the positions of the inputs on the screen as the previous frame,
+   * from which the next move is measured.
+   * @param {Array} inputs - The array of Inputs on the screen.
+   * @param {Binding} binding - The binding the transform is measured for.
+   */
+  measureFrom(inputs, binding) {
+    const points = getActivePoints(inputs);
+    binding.progress.points = (points.length >= this.minInputs) ?
+      points : null;
+  }
+
+  /**
+   * Determines if the gesture could still be recognized, which is while
+   * enough inputs are on the screen.
+   * @param {Array} inputs - The array of Inputs on the screen
+   * @param {Object} state - The state object of the current region.
+   * @param {Element} element - The element associated to the binding.
+   * @param {Binding} [binding] - The binding the gesture is bound with.
+   * @return {boolean} - If the gesture is still possible
+   */
+  isPossible(inputs, state, element, binding) {
+    return state.numActiveInputs() >= this.minInputs &&
+      this.isValid(inputs, state, element, binding);
+  }
+}
+
+/**
+ * Retrieves the positions of the inputs that are still on the screen.
+ * @param {Array} inputs - The array of Inputs on the screen.
+ * @return {Array} - The identifier and position of each active input.
+ */
+function getActivePoints(inputs) {
+  return inputs.filter((input) => {
+    return input.getCurrentEventType() !== 'end';
+  }).map((input) => {
+    return {
+      identifier: input.identifier,
+      x: input.current.x,
+      y: input.current.y,
+    };
+  });
+}
+
+/**
+ * Determines if two frames were measured from the same inputs.
+ * @param {Array} previous - The points of the previous frame.
+ * @param {Array} points - The points of the current frame.
+ * @return {boolean}
+ */
+function samePoints(previous, points) {
+  return previous.length === points.length &&
+    points.every((point, index) => {
+      return point.identifier === previous[index].identifier;
+    });
+}
+
+/**
+ * Calculates the centroid of a set of points.
+ * @param {Array} points
+ * @return {Object} - The x and y coordinates of the centroid.
+ */
+function getCentroid(points) {
+  const sum = points.reduce((accumulator, point) => {
+    return {x: accumulator.x + point.x, y: accumulator.y + point.y};
+  }, {x: 0, y: 0});
+  return {x: sum.x / points.length, y: sum.y / points.length};
+}
+
+/**
+ * Calculates the average distance of a set of points from their centroid.
+ * @param {Array} points
+ * @param {Object} centroid
+ * @return {Number}
+ */
+function getSpread(points, centroid) {
+  const sum = points.reduce((accumulator, point) => {
+    return accumulator + Math.sqrt(
+      (point.x - centroid.x) * (point.x - centroid.x) +
+      (point.y - centroid.y) * (point.y - centroid.y));
+  }, 0);
+  return sum / points.length;
+}
+
+/**
+ * Calculates the change of angle of a point around its centroid between two
+ * frames, in the same direction as a CSS rotation (positive is clockwise).
+ * @param {Object} previous - The point in the previous frame.
+ * @param {Object} previousCentroid - The centroid in the previous frame.
+ * @param {Object} point - The point in the current frame.
+ * @param {Object} centroid - The centroid in the current frame.
+ * @return {Number} - The change of angle in degrees.
+ */
+function getAngleChange(previous, previousCentroid, point, centroid) {
+  const before = Math.atan2(
+    previous.y - previousCentroid.y, previous.x - previousCentroid.x);
+  const after = Math.atan2(point.y - centroid.y, point.x - centroid.x);
+  let change = (after - before) * HALF_CIRCLE_DEGREES / Math.PI;
+  if (change > HALF_CIRCLE_DEGREES) {
+    change -= 2 * HALF_CIRCLE_DEGREES;
+  } else if (change <= -HALF_CIRCLE_DEGREES) {
+    change += 2 * HALF_CIRCLE_DEGREES;
+  }
+  return change;
+}
+
+/**
+ * Multiplies two 2D matrices of the form [a, b, c, d, e, f], such that the
+ * second matrix is applied first.
+ * @param {Array} m1
+ * @param {Array} m2
+ * @return {Array} - The product of the matrices.
+ */
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+export default Transform;
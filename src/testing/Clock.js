@@ -0,0 +1,142 @@
+/**
+ * @file Clock.js
+ * Contains the Clock class
+ */
+
+const FRAME_MS = 16;
+
+/**
+ * A clock whose time only moves when it is advanced, for tests to drive
+ * time-based gestures deterministically. Its timers and animation frames are
+ * called in order while the clock is advanced past them. Give it to a Region
+ * to schedule the ticks of its gestures.
+ * @example
+ * const clock = new testing.Clock();
+ * const region = ZingTouch.Region(element, {clock: clock});
+ * @class Clock
+ */
+class Clock {
+  /**
+   * Constructor function for the Clock class.
+   * @param {Number} [time=0] - The time the clock starts at, in milliseconds.
+   */
+  constructor(time) {
+    /**
+     * The current time in milliseconds.
+     * @type {Number}
+     */
+    this.time = (time) ? time : 0;
+
+    /**
+     * The pending timers and animation frames, each holding its handle,
+     * the time it is due at, and its callback.
+     * @type {Array}
+     */
+    this.timers = [];
+
+    /**
+     * The handle of the next timer.
+     * @type {Number}
+     */
+    this.nextHandle = 1;
+  }
+
+  /**
+   * Returns the current time in milliseconds. Events are timed as they are
+   * received, at the current time.
+   * @return {Number}
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Calls a function once the clock has been advanced by a delay.
+   * @param {Function} callback
+   * @param {Number} delay - The delay in milliseconds.
+   * @return {Number} - The handle of the timer.
+   */
+  setTimeout(callback, delay) {
+    return this.schedule(callback, this.time + (delay || 0), false);
+  }
+
+  /**
+   * Cancels a timer set with setTimeout.
+   * @param {Number} handle - The handle of the timer.
+   */
+  clearTimeout(handle) {
+    this.timers = this.timers.filter((timer) => timer.handle !== handle);
+  }
+
+  /**
+   * Calls a function on the next animation frame, which is due at the next
+   * multiple of 16ms.
+   * @param {Function} callback - Called with the time of the frame.
+   * @return {Number} - The handle of the request.
+   */
+  requestAnimationFrame(callback) {
+    const frame = (Math.floor(this.time / FRAME_MS) + 1) * FRAME_MS;
+    return this.schedule(callback, frame, true);
+  }
+
+  /**
+   * Cancels a request made with requestAnimationFrame.
+   * @param {Number} handle - The handle of the request.
+   */
+  cancelAnimationFrame(handle) {
+    this.clearTimeout(handle);
+  }
+
+  /**
+   * Moves the time forward, calling every timer that becomes due on the way
+   * in the order they are due. Timers set by those timers are called too if
+   * they become due before the clock has been advanced.
+   * @param {Number} ms - The time to advance by, in milliseconds.
+   * @return {Clock} - Returns 'this' to be chained.
+   */
+  advance(ms) {
+    const end = this.time + ms;
+    let timer = this.nextTimer(end);
+    while (timer) {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      this.time = timer.time;
+      if (timer.frame) {
+        timer.callback(timer.time);
+      } else {
+        timer.callback();
+      }
+      timer = this.nextTimer(end);
+    }
+
+    this.time = end;
+    return this;
+  }
+
+  /**
+   * Schedules a callback at a given time.
+   * @param {Function} callback
+   * @param {Number} time - The time the callback is due at.
+   * @param {Boolean} frame - Whether the callback is an animation frame.
+   * @return {Number} - The handle of the timer.
+   */
+  schedule(callback, time, frame) {
+    const handle = this.nextHandle++;
+    this.timers.push({handle, time, callback, frame});
+    return handle;
+  }
+
+  /**
+   * Retrieves the first timer that is due by a given time, in the order the
+   * timers were scheduled for timers due at the same time.
+   * @param {Number} end - The time the timer has to be due by.
+   * @return {Object|null} - The timer, or null if none is due.
+   */
+  nextTimer(end) {
+    return this.timers.reduce((next, timer) => {
+      return (timer.time <= end && (!next || timer.time < next.time)) ?
+        timer : next;
+    }, null);
+  }
+}
+
+export default Clock;
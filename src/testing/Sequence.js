@@ -0,0 +1,375 @@
+/**
+ * @file Sequence.js
+ * Contains the Sequence class
+ */
+
+const FRAME_MS = 16;
+const EVENT_TYPES = Object.freeze({
+  touch: {
+    start: 'touchstart',
+    move: 'touchmove',
+    end: 'touchend',
+    cancel: 'touchcancel',
+  },
+  mouse: {
+    start: 'mousedown',
+    move: 'mousemove',
+    end: 'mouseup',
+  },
+  pointer: {
+    start: 'pointerdown',
+    move: 'pointermove',
+    end: 'pointerup',
+    cancel: 'pointercancel',
+  },
+});
+
+// The touches currently on the screen, shared by every touch sequence such
+// that the events of one sequence list the touches of the others.
+const activeTouches = [];
+let nextTouchId = 1;
+
+/**
+ * A scripted input, feeding synthetic events straight into the listener of
+ * every Region it is given that contains its element. Each step is run
+ * synchronously, and the time between steps is driven by a testing Clock.
+ * @example
+ * testing.touch(element)
+ *   .down(10, 10)
+ *   .moveTo(100, 10, {over: 200})
+ *   .up();
+ * @class Sequence
+ */
+class Sequence {
+  /**
+   * Constructor function for the Sequence class.
+   * @param {Element} element - The element the input starts on, which is
+   *  the target of all of its events.
+   * @param {String} [kind='touch'] - The kind of input
+   *  ( touch | mouse | pointer ).
+   * @param {Object} [options] - The options object.
+   * @param {Array} [options.regions] - The Regions to feed the events into,
+   *  such as the Regions created through ZingTouch.
+   * @param {Object} [options.clock] - The clock to advance between steps.
+   *  Defaults to the clock of the first Region containing the element.
+   * @param {Number} [options.identifier] - The identifier of the touch or
+   *  pointer. Defaults to a unique identifier.
+   * @param {String} [options.pointerType='touch'] - The pointerType of
+   *  pointer events.
+   */
+  constructor(element, kind, options) {
+    if (!element || !element.tagName) {
+      throw new Error('Sequence must contain an element');
+    }
+
+    kind = (kind) ? kind : 'touch';
+    if (!EVENT_TYPES[kind]) {
+      throw new Error('Parameter ' + kind + ' is not a kind of input');
+    }
+
+    /**
+     * The element the input starts on.
+     * @type {Element}
+     */
+    this.element = element;
+
+    /**
+     * The kind of input ( touch | mouse | pointer ).
+     * @type {String}
+     */
+    this.kind = kind;
+
+    /**
+     * The identifier of the touch or pointer.
+     * @type {Number}
+     */
+    this.identifier = (options && typeof options.identifier === 'number') ?
+      options.identifier : nextTouchId++;
+
+    /**
+     * The pointerType of pointer events.
+     * @type {String}
+     */
+    this.pointerType = (options && options.pointerType) ?
+      options.pointerType : 'touch';
+
+    /**
+     * The Regions to feed the events into. Only those containing the element
+     * are fed.
+     * @type {Array}
+     */
+    this.regions = (options && options.regions) ? options.regions : [];
+
+    /**
+     * The clock to advance between steps.
+     * @type {Object}
+     */
+    this.clock = (options && options.clock) ? options.clock : null;
+
+    /**
+     * The current position of the input, or null while it is not down.
+     * @type {Object}
+     */
+    this.position = null;
+
+    /**
+     * Every event fed to the Regions so far, e.g. to assert whether the
+     * default behaviour of an event was prevented.
+     * @type {Array}
+     */
+    this.events = [];
+  }
+
+  /**
+   * Starts the input at a position, or at the center of the element.
+   * @param {Number} [x] - The client X coordinate.
+   * @param {Number} [y] - The client Y coordinate.
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  down(x, y) {
+    if (this.position) {
+      throw new Error('The input is already down');
+    }
+
+    if (typeof x !== 'number' || typeof y !== 'number') {
+      const rect = this.element.getBoundingClientRect();
+      x = rect.left + rect.width / 2;
+      y = rect.top + rect.height / 2;
+    }
+
+    this.position = {x: x, y: y};
+    if (this.kind === 'touch') {
+      activeTouches.push(this);
+    }
+    return this.emit('start');
+  }
+
+  /**
+   * Moves the input to a position, in steps of one animation frame if the
+   * move is spread over a period of time.
+   * @param {Number} x - The client X coordinate.
+   * @param {Number} y - The client Y coordinate.
+   * @param {Object} [options] - The options object.
+   * @param {Number} [options.over=0] - The duration of the move in
+   *  milliseconds.
+   * @param {Number} [options.steps] - The number of move events. Defaults to
+   *  one per animation frame, or one for an instant move.
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  moveTo(x, y, options) {
+    checkDown(this);
+    const over = (options && options.over) ? options.over : 0;
+    const steps = (options && options.steps) ?
+      options.steps : Math.max(1, Math.round(over / FRAME_MS));
+    const from = this.position;
+
+    for (let step = 1; step <= steps; step++) {
+      if (over > 0) {
+        this.wait(over / steps);
+      }
+      this.position = {
+        x: from.x + (x - from.x) * step / steps,
+        y: from.y + (y - from.y) * step / steps,
+      };
+      this.emit('move');
+    }
+    return this;
+  }
+
+  /**
+   * Moves the input by an offset from its current position.
+   * @param {Number} dx - The offset along the X axis.
+   * @param {Number} dy - The offset along the Y axis.
+   * @param {Object} [options] - The options object. @see Sequence.moveTo
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  moveBy(dx, dy, options) {
+    checkDown(this);
+    return this.moveTo(this.position.x + dx, this.position.y + dy, options);
+  }
+
+  /**
+   * Advances the clock, calling any tick that becomes due.
+   * @param {Number} ms - The time to wait in milliseconds.
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  wait(ms) {
+    const clock = getClock(this);
+    if (!clock || typeof clock.advance !== 'function') {
+      throw new Error('Waiting requires a testing Clock');
+    }
+
+    clock.advance(ms);
+    return this;
+  }
+
+  /**
+   * Ends the input where it is.
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  up() {
+    checkDown(this);
+    this.emit('end');
+    release(this);
+    return this;
+  }
+
+  /**
+   * Cancels the input, as the browser does when it takes an input over.
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  cancel() {
+    checkDown(this);
+    if (!EVENT_TYPES[this.kind].cancel) {
+      throw new Error('A ' + this.kind + ' input cannot be cancelled');
+    }
+
+    this.emit('cancel');
+    release(this);
+    return this;
+  }
+
+  /**
+   * Feeds an event at the current position into the listener of every Region
+   * of the sequence containing the element, in the order the browser would
+   * call their listeners: capturing Regions from the outermost, then
+   * bubbling Regions from the innermost.
+   * @param {String} type - The normalized type of the event
+   *  ( start | move | end | cancel ).
+   * @return {Sequence} - Returns 'this' to be chained.
+   */
+  emit(type) {
+    const event = createEvent(this, type);
+    this.events.push(event);
+    getRegions(this).forEach((region) => {
+      region.listener(event);
+    });
+    return this;
+  }
+}
+
+/**
+ * Throws an error if the input is not down.
+ * @param {Sequence} sequence
+ */
+function checkDown(sequence) {
+  if (!sequence.position) {
+    throw new Error('The input is not down');
+  }
+}
+
+/**
+ * Lifts the input, removing it from the touches on the screen.
+ * @param {Sequence} sequence
+ */
+function release(sequence) {
+  const index = activeTouches.indexOf(sequence);
+  if (index !== -1) {
+    activeTouches.splice(index, 1);
+  }
+  sequence.position = null;
+}
+
+/**
+ * Retrieves the clock of a sequence, or of the first Region containing its
+ * element.
+ * @param {Sequence} sequence
+ * @return {Object|null}
+ */
+function getClock(sequence) {
+  if (sequence.clock) {
+    return sequence.clock;
+  }
+
+  const regions = getRegions(sequence);
+  return (regions.length > 0) ? regions[0].state.clock : null;
+}
+
+/**
+ * Retrieves the Regions of a sequence containing its element, in the order
+ * their listeners are called.
+ * @param {Sequence} sequence
+ * @return {Array}
+ */
+function getRegions(sequence) {
+  const regions = sequence.regions.filter((region) => {
+    return region.element.contains(sequence.element);
+  });
+  const depth = (region) => getPath(region.element).length;
+  const capturing = regions.filter((region) => region.capture)
+    .sort((a, b) => depth(a) - depth(b));
+  const bubbling = regions.filter((region) => !region.capture)
+    .sort((a, b) => depth(b) - depth(a));
+  return capturing.concat(bubbling);
+}
+
+/**
+ * Retrieves an element and its ancestors.
+ * @param {Element} element
+ * @return {Array}
+ */
+function getPath(element) {
+  const path = [];
+  for (let node = element; node; node = node.parentNode) {
+    path.push(node);
+  }
+  return path;
+}
+
+/**
+ * Creates an object carrying the position of an input, as a Touch does.
+ * @param {Sequence} sequence - The sequence of the input.
+ * @return {Object}
+ */
+function createPoint(sequence) {
+  return {
+    identifier: sequence.identifier,
+    target: sequence.element,
+    clientX: sequence.position.x,
+    clientY: sequence.position.y,
+    pageX: sequence.position.x,
+    pageY: sequence.position.y,
+    screenX: sequence.position.x,
+    screenY: sequence.position.y,
+  };
+}
+
+/**
+ * Creates an object carrying what the arbiter reads from a browser event.
+ * @param {Sequence} sequence - The sequence emitting the event.
+ * @param {String} type - The normalized type of the event.
+ * @return {Object} - The synthetic event.
+ */
+function createEvent(sequence, type) {
+  const clock = getClock(sequence);
+  const point = createPoint(sequence);
+  const event = Object.assign({
+    type: EVENT_TYPES[sequence.kind][type],
+    target: sequence.element,
+    path: getPath(sequence.element),
+    timeStamp: (clock) ? clock.now() : 0,
+    defaultPrevented: false,
+    preventDefault() {
+      event.defaultPrevented = true;
+    },
+  }, point);
+
+  if (sequence.kind === 'touch') {
+    event.changedTouches = [point];
+    event.touches = activeTouches.filter((touch) => {
+      return touch !== sequence || (type !== 'end' && type !== 'cancel');
+    }).map((touch) => {
+      return (touch === sequence) ? point : createPoint(touch);
+    });
+  } else {
+    event.buttons = (type === 'end' || type === 'cancel') ? 0 : 1;
+    if (sequence.kind === 'pointer') {
+      event.pointerId = sequence.identifier;
+      event.pointerType = sequence.pointerType;
+    }
+  }
+
+  return event;
+}
+
+export default Sequence;
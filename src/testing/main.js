@@ -0,0 +1,11 @@
+/**
+ * @file main.js
+ * Entry point of the testing harness, built separately from ZingTouch such
+ * that it stays out of production bundles. Feeds the Regions created through
+ * the ZingTouch object loaded before it, and exposes the harness as
+ * ZingTouch.testing.
+ */
+
+import testing from './testing.js';
+testing.regions = window.ZingTouch._regions;
+window.ZingTouch.testing = testing;
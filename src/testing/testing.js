@@ -0,0 +1,77 @@
+/**
+ * @file testing.js
+ * Contains the testing harness, published separately as zingtouch/testing
+ */
+
+import Clock from './Clock.js';
+import Sequence from './Sequence.js';
+
+/**
+ * Drives gestures without a browser or a touch screen, by scripting inputs
+ * whose events are fed straight into the listener of each Region. Combined
+ * with a Clock, gestures are recognized deterministically, e.g. in jsdom.
+ * @example
+ * const testing = require('zingtouch/testing');
+ * const clock = new testing.Clock();
+ * const region = ZingTouch.Region(element, {clock: clock});
+ * region.bind(element, 'swipe', handler);
+ * testing.touch(element)
+ *   .down(10, 10)
+ *   .moveTo(100, 10, {over: 200})
+ *   .up();
+ * @type {Object}
+ * @namespace testing
+ */
+let testing = {
+  Clock: Clock,
+  Sequence: Sequence,
+
+  /**
+   * The Regions that scripted inputs are fed into, unless a sequence is given
+   * its own. The testing entry point sets it to the Regions created through
+   * ZingTouch.
+   * @type {Array}
+   */
+  regions: [],
+
+  /**
+   * Scripts a touch starting on an element.
+   * @param {Element} element - The element the touch starts on.
+   * @param {Object} [options] - The options of the sequence. @see Sequence
+   * @return {Sequence}
+   */
+  touch(element, options) {
+    return new Sequence(element, 'touch', withRegions(options));
+  },
+
+  /**
+   * Scripts a mouse button being pressed on an element.
+   * @param {Element} element - The element the mouse is pressed on.
+   * @param {Object} [options] - The options of the sequence. @see Sequence
+   * @return {Sequence}
+   */
+  mouse(element, options) {
+    return new Sequence(element, 'mouse', withRegions(options));
+  },
+
+  /**
+   * Scripts a pointer starting on an element.
+   * @param {Element} element - The element the pointer starts on.
+   * @param {Object} [options] - The options of the sequence. @see Sequence
+   * @return {Sequence}
+   */
+  pointer(element, options) {
+    return new Sequence(element, 'pointer', withRegions(options));
+  },
+};
+
+/**
+ * Completes the options of a sequence with the Regions of the harness.
+ * @param {Object} [options] - The options of the sequence.
+ * @return {Object}
+ */
+function withRegions(options) {
+  return Object.assign({regions: testing.regions}, options);
+}
+
+export default testing;
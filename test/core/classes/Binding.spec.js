@@ -28,4 +28,80 @@ describe('Binding', function() {
   it('should have an function as a member', function() {
     expect(binding.handler).to.be.an.instanceof(Function);
   });
+
+  it('should default to the touch-action of the gesture', function() {
+    expect(binding.touchAction).to.equal('none');
+  });
+
+  it('should accept an options object', function() {
+    let _binding = new Binding(element, gesture, function() {}, {
+      capture: true,
+      touchAction: 'pan-y',
+    });
+    expect(_binding.capture).to.be.true;
+    expect(_binding.touchAction).to.equal('pan-y');
+    expect(_binding.bindOnce).to.be.false;
+    expect(_binding.passive).to.be.false;
+    expect(_binding.signal).to.be.null;
+  });
+
+  it('should accept the once, passive and signal options', function() {
+    let signal = {aborted: false};
+    let _binding = new Binding(element, gesture, function() {}, {
+      once: true,
+      passive: true,
+      signal: signal,
+    });
+    expect(_binding.capture).to.be.false;
+    expect(_binding.bindOnce).to.be.true;
+    expect(_binding.passive).to.be.true;
+    expect(_binding.signal).to.equal(signal);
+  });
+
+  it('should accept a hit-test mode', function() {
+    expect(binding.hitTest).to.equal('rect');
+    let _binding = new Binding(element, gesture, function() {}, {
+      hitTest: 'circle',
+    });
+    expect(_binding.hitTest).to.equal('circle');
+    expect(() => new Binding(element, gesture, function() {}, {
+      hitTest: 'polygon',
+    })).to.throw(Error);
+  });
+});
+
+/** @test {Binding.hits} */
+describe('Binding.hits', function() {
+  let gesture = new Gesture();
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+
+  it('should test a position by the hit-test mode', function() {
+    let rect = new Binding(element, gesture, function() {}, {});
+    let circle = new Binding(element, gesture, function() {}, {
+      hitTest: 'circle',
+    });
+    expect(rect.hits(5, 5)).to.be.true;
+    expect(circle.hits(5, 5)).to.be.false;
+    expect(circle.hits(50, 50)).to.be.true;
+  });
+
+  it('should test a position on a virtual target', function() {
+    let binding = new Binding(element, gesture, function() {}, {});
+    binding.target = {hitTest: (x, y) => y < 50};
+    expect(binding.hits(50, 10)).to.be.true;
+    expect(binding.hits(50, 90)).to.be.false;
+  });
+});
+
+/** @test {Binding.requireFailureOf} */
+describe('Binding.requireFailureOf', function() {
+  it('should store the gestures that have to fail', function() {
+    let gesture = new Gesture();
+    let binding = new Binding(document.body, new Gesture(), function() {});
+    binding.requireFailureOf(gesture).requireFailureOf('swipe');
+    expect(binding.requiredFailures).to.deep.equal([gesture, 'swipe']);
+  });
 });
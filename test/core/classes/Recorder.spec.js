@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * @file Recorder.spec.js
+ * Tests Recorder class
+ */
+import Clock from './../../../src/testing/Clock.js';
+import Recorder from './../../../src/core/classes/Recorder.js';
+import testing from './../../../src/testing/testing.js';
+import ZingTouch from './../../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Recorder} */
+describe('Recorder', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 100, top: 50, width: 200, height: 200};
+  };
+  let clock;
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    clock = new Clock(1000);
+    region = new ZingTouch.Region(element, {clock: clock});
+    region.bind(element, 'pan', function() {});
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should be instantiated by Region.record', function() {
+    let recorder = region.record();
+    expect(recorder).to.be.an.instanceof(Recorder);
+    expect(region.recorder).to.equal(recorder);
+  });
+
+  it('should record the events relative to the first and the region',
+    function() {
+      let recorder = region.record();
+      testing.touch(element, {identifier: 7})
+        .down(110, 60)
+        .moveTo(150, 60, {over: 32, steps: 2})
+        .up();
+      let trace = recorder.stop();
+
+      expect(trace.version).to.equal(Recorder.version);
+      expect(trace.region).to.deep.equal({width: 200, height: 200});
+      expect(trace.events.map((entry) => entry.type)).to.deep.equal(
+        ['touchstart', 'touchmove', 'touchmove', 'touchend']);
+      expect(trace.events.map((entry) => entry.time)).to.deep.equal(
+        [0, 16, 32, 32]);
+      expect(trace.events[2]).to.deep.equal({
+        time: 32,
+        type: 'touchmove',
+        pointerType: 'touch',
+        inputs: [{identifier: 7, x: 50, y: 10}],
+      });
+    });
+
+  it('should record the buttons and pointer type of pointer events',
+    function() {
+      let recorder = region.record();
+      testing.pointer(element, {identifier: 3, pointerType: 'pen'})
+        .down(110, 60)
+        .up();
+      let entry = recorder.stop().events[0];
+      expect(entry.type).to.equal('pointerdown');
+      expect(entry.pointerType).to.equal('pen');
+      expect(entry.buttons).to.equal(1);
+      expect(entry.inputs).to.deep.equal([{identifier: 3, x: 10, y: 10}]);
+    });
+
+  it('should stop recording once stopped', function() {
+    let recorder = region.record();
+    let trace = recorder.stop();
+    testing.touch(element).down().up();
+    expect(trace.events).to.have.lengthOf(0);
+    expect(region.recorder).to.equal(null);
+  });
+
+  it('should be serialized as its trace', function() {
+    let recorder = region.record();
+    testing.mouse(element).down().up();
+    expect(JSON.parse(JSON.stringify(recorder))).to.deep.equal(
+      recorder.stop());
+  });
+});
@@ -6,6 +6,71 @@
  */
 import Region from './../../../src/core/classes/Region.js';
 import Binder from './../../../src/core/classes/Binder.js';
+import Binding from './../../../src/core/classes/Binding.js';
+import Pan from './../../../src/gestures/Pan.js';
+import Stream from './../../../src/core/classes/Stream.js';
+import testing from './../../../src/testing/testing.js';
+import ZingTouch from './../../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/**
+ * Dispatches a mouse event at the given client coordinates.
+ * @param {Element} element
+ * @param {String} type
+ * @param {Number} x
+ * @param {Number} y
+ */
+function mouse(element, type, x, y) {
+  let event = document.createEvent('MouseEvent');
+  event.initMouseEvent(type, true, true, window, 0, x, y, x, y,
+    false, false, false, false, 0, null);
+  Object.defineProperty(event, 'buttons', {
+    value: (type === 'mouseup') ? 0 : 1,
+  });
+  element.dispatchEvent(event);
+}
+
+/**
+ * Dispatches a touch event for a single touch at the given
+ * client coordinates.
+ * @param {Element} element
+ * @param {String} type
+ * @param {Number} x
+ * @param {Number} y
+ */
+function touch(element, type, x, y) {
+  let event = document.createEvent('Event');
+  let touches = [{identifier: 0, clientX: x, clientY: y}];
+  event.initEvent(type, true, true);
+  Object.defineProperty(event, 'touches', {value: touches});
+  Object.defineProperty(event, 'changedTouches', {value: touches});
+  element.dispatchEvent(event);
+}
+
+/**
+ * Creates a minimal AbortSignal, for browsers without AbortController.
+ * @return {Object} - The signal, aborted with its abort method.
+ */
+function createSignal() {
+  let signal = {
+    aborted: false,
+    listeners: [],
+    addEventListener: function(type, listener) {
+      signal.listeners.push(listener);
+    },
+    removeEventListener: function(type, listener) {
+      signal.listeners = signal.listeners.filter((other) => {
+        return other !== listener;
+      });
+    },
+    abort: function() {
+      signal.aborted = true;
+      signal.listeners.slice().forEach((listener) => listener());
+    },
+  };
+  return signal;
+}
 
 /** @test {Region} */
 describe('Region', function() {
@@ -44,3 +109,730 @@ describe('Region.bind(element)', function() {
     }
   });
 });
+
+/** @test {Region.bind} */
+describe('Region.bind(element, gesture, handler)', function() {
+  let region = new Region(document.body);
+  it('should return the created Binding', function() {
+    let binding = region.bind(document.body, 'tap', function() {});
+    expect(binding).to.be.an.instanceof(Binding);
+    expect(binding.requireFailureOf('swipe')).to.equal(binding);
+  });
+});
+
+/** @test {Binding.requireFailureOf} */
+describe('Region failure requirements', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should drop the candidates held back when the inputs are cancelled',
+    function() {
+    let region = new ZingTouch.Region(element);
+    let pans = [];
+    region.bind(element, 'swipe', function() {});
+    region.bind(element, 'pan', function(e) {
+      pans.push(e.detail.phase);
+    }).requireFailureOf('swipe');
+
+    touch(element, 'touchstart', 10, 10);
+    touch(element, 'touchmove', 20, 10);
+    expect(region.state.held).to.have.lengthOf(1);
+    touch(element, 'touchcancel', 20, 10);
+    expect(region.state.held).to.have.lengthOf(0);
+
+    touch(element, 'touchstart', 50, 50);
+    touch(element, 'touchend', 50, 50);
+    expect(pans).to.deep.equal([]);
+    region.destroy();
+  });
+});
+
+/** @test {Region} */
+describe('Region phases', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should accept an options object', function() {
+    let region = new Region(element, {
+      preventDefault: false,
+      phaseEvents: true,
+    });
+    expect(region.capture).to.be.false;
+    expect(region.preventDefault).to.be.false;
+    expect(region.phaseEvents).to.be.true;
+  });
+
+  it('should report the phases of a pan', function() {
+    let region = new Region(element, {phaseEvents: true});
+    let phases = [];
+    let events = [];
+    region.bind(element, 'pan', function(e) {
+      phases.push(e.detail.phase);
+    });
+    element.addEventListener('zt:pan:end', function(e) {
+      events.push(e.type);
+    });
+
+    mouse(element, 'mousedown', 10, 10);
+    mouse(element, 'mousemove', 20, 10);
+    mouse(element, 'mousemove', 30, 10);
+    mouse(element, 'mouseup', 30, 10);
+    expect(phases).to.deep.equal(['began', 'changed', 'ended']);
+    expect(events).to.deep.equal(['zt:pan:end']);
+  });
+
+  it('should end a pan with the data it last emitted', function() {
+    let region = new ZingTouch.Region(element);
+    let details = [];
+    region.bind(element, 'pan', function(e) {
+      details.push(e.detail);
+    });
+
+    mouse(element, 'mousedown', 10, 10);
+    mouse(element, 'mousemove', 20, 10);
+    mouse(element, 'mousemove', 30, 10);
+    mouse(element, 'mouseup', 30, 10);
+    let ended = details[details.length - 1];
+    expect(ended.phase).to.equal('ended');
+    expect(ended.data).to.deep.equal(details[details.length - 2].data);
+    expect(ended.events[0].type).to.equal('end');
+    region.destroy();
+  });
+
+  it('should cancel a pan with the data it last emitted', function() {
+    let region = new ZingTouch.Region(element);
+    let details = [];
+    region.bind(element, 'pan', function(e) {
+      details.push(e.detail);
+    });
+
+    touch(element, 'touchstart', 10, 10);
+    touch(element, 'touchmove', 20, 10);
+    touch(element, 'touchcancel', 20, 10);
+    expect(details.map((detail) => detail.phase)).to.deep.equal(
+      ['began', 'cancelled']);
+    expect(details[1].data).to.deep.equal(details[0].data);
+    region.destroy();
+  });
+
+  it('should only call the handlers of its own region', function() {
+    let inner = document.createElement('div');
+    inner.getBoundingClientRect = element.getBoundingClientRect;
+    element.appendChild(inner);
+    let outerRegion = new ZingTouch.Region(element);
+    let innerRegion = new ZingTouch.Region(inner);
+    let calls = [];
+    let events = [];
+    outerRegion.bind(element, 'tap', function() {
+      calls.push('outer');
+    });
+    innerRegion.bind(inner, 'tap', function() {
+      calls.push('inner');
+    });
+    element.addEventListener('zt:tap', function(e) {
+      events.push(e.target);
+    });
+
+    mouse(inner, 'mousedown', 10, 10);
+    mouse(inner, 'mouseup', 10, 10);
+    expect(calls).to.deep.equal(['inner', 'outer']);
+    expect(events).to.deep.equal([element]);
+    innerRegion.destroy();
+    outerRegion.destroy();
+    element.removeChild(inner);
+  });
+
+  it('should give nested regions their own default prefix', function() {
+    let inner = document.createElement('div');
+    element.appendChild(inner);
+    let outerRegion = new ZingTouch.Region(element);
+    let innerRegion = new ZingTouch.Region(inner);
+    let namedRegion = new ZingTouch.Region(inner, {eventPrefix: 'inner:'});
+    expect(outerRegion.state.eventPrefix).to.equal('zt:');
+    expect(innerRegion.state.eventPrefix).to.equal(
+      'zt' + innerRegion.id + ':');
+    expect(namedRegion.state.eventPrefix).to.equal('inner:');
+
+    namedRegion.destroy();
+    innerRegion.destroy();
+    outerRegion.destroy();
+    element.removeChild(inner);
+  });
+
+  it('should cancel a pan interrupted by the browser', function() {
+    let region = new Region(element);
+    let gesture = new Pan();
+    let phases = [];
+    let cancelled = 0;
+    gesture.cancel = function() {
+      cancelled++;
+      return null;
+    };
+    region.bind(element, gesture, function(e) {
+      phases.push(e.detail.phase);
+    });
+
+    touch(element, 'touchstart', 10, 10);
+    touch(element, 'touchmove', 20, 10);
+    touch(element, 'touchmove', 30, 10);
+    touch(element, 'touchcancel', 30, 10);
+    expect(phases).to.deep.equal(['began', 'changed', 'cancelled']);
+    expect(cancelled).to.equal(1);
+    expect(region.state.inputs).to.be.empty;
+  });
+});
+
+/** @test {Region.unbind} */
+describe('Region.unbind', function() {
+  let element = document.createElement('div');
+
+  it('should only unbind the given handler', function() {
+    let region = new Region(element);
+    let handler = function() {
+    };
+    region.bind(element, 'tap', handler);
+    let other = region.bind(element, 'tap', function() {
+    });
+
+    let unbound = region.unbind(element, 'tap', handler);
+    expect(unbound).to.have.lengthOf(1);
+    expect(unbound[0].handler).to.equal(handler);
+    expect(region.state.bindings).to.deep.equal([other]);
+    region.destroy();
+  });
+
+  it('should unbind a gesture instance', function() {
+    let region = new Region(element);
+    let gesture = new Pan();
+    region.bind(element, gesture, function() {
+    });
+    region.bind(element, 'tap', function() {
+    });
+
+    expect(region.unbind(element, gesture)).to.have.lengthOf(1);
+    expect(region.state.bindings).to.have.lengthOf(1);
+    region.destroy();
+  });
+});
+
+/** @test {Region.bind} */
+describe('Region.bind(element, gesture, handler, {once})', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should only emit the gesture once', function() {
+    let region = new Region(element);
+    let count = 0;
+    region.bind(element, 'tap', function() {
+      count++;
+    }, {once: true});
+
+    mouse(element, 'mousedown', 10, 10);
+    mouse(element, 'mouseup', 10, 10);
+    mouse(element, 'mousedown', 10, 10);
+    mouse(element, 'mouseup', 10, 10);
+    expect(count).to.equal(1);
+    expect(region.state.bindings).to.be.empty;
+    region.destroy();
+  });
+});
+
+/** @test {Region.delegate} */
+describe('Region.delegate', function() {
+  let element = document.createElement('ul');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should emit on elements added after the delegation', function() {
+    let region = new Region(element);
+    let targets = [];
+    region.delegate('li', 'tap', function(e) {
+      targets.push(e.target);
+    });
+
+    let row = document.createElement('li');
+    row.getBoundingClientRect = element.getBoundingClientRect;
+    row.appendChild(document.createElement('span'));
+    element.appendChild(row);
+
+    mouse(row.firstChild, 'mousedown', 10, 10);
+    mouse(row.firstChild, 'mouseup', 10, 10);
+    mouse(element, 'mousedown', 10, 10);
+    mouse(element, 'mouseup', 10, 10);
+    expect(targets).to.deep.equal([row]);
+    region.destroy();
+  });
+});
+
+/** @test {Region.destroy} */
+describe('Region.destroy', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should remove the region from ZingTouch', function() {
+    let region = new ZingTouch.Region(element);
+    expect(ZingTouch._regions.indexOf(region)).to.not.equal(-1);
+    region.destroy();
+    expect(ZingTouch._regions.indexOf(region)).to.equal(-1);
+  });
+
+  it('should unbind all bindings and clear the state', function() {
+    let region = new ZingTouch.Region(element);
+    let binding = region.bind(element, 'tap', function() {
+    });
+    region.destroy();
+    expect(region.state.bindings).to.be.empty;
+    expect(region.state.inputs).to.be.empty;
+    expect(binding).to.be.an.instanceof(Binding);
+  });
+
+  it('should stop listening to the region element', function() {
+    let region = new ZingTouch.Region(element);
+    region.destroy();
+    let event = document.createEvent('MouseEvent');
+    event.initMouseEvent('mousedown', true, true, window, 0, 10, 10, 10, 10,
+      false, false, false, false, 0, null);
+    element.dispatchEvent(event);
+    expect(region.state.inputs).to.be.empty;
+  });
+
+  it('should throw an error on any further call', function() {
+    let region = new ZingTouch.Region(element);
+    region.destroy();
+    expect(function() {
+      region.bind(element, 'tap', function() {
+      });
+    }).to.throw('has been destroyed');
+    expect(function() {
+      region.unbind(element);
+    }).to.throw('has been destroyed');
+    expect(function() {
+      region.register('tap2', new Pan());
+    }).to.throw('has been destroyed');
+    expect(function() {
+      region.destroy();
+    }).to.throw('has been destroyed');
+  });
+});
+
+/** @test {Region.capturePointer} */
+describe('Region pointer capture', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should accept \'pointer\' as the capture option', function() {
+    let region = new Region(element, {capture: 'pointer'});
+    expect(region.pointerCapture).to.be.true;
+    expect(region.capture).to.be.false;
+    region.destroy();
+  });
+
+  it('should keep tracking an input that leaves the region', function() {
+    let region = new Region(element, 'pointer');
+    let phases = [];
+    region.bind(element, 'pan', function(e) {
+      phases.push(e.detail.phase);
+    });
+
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mousemove', 90, 50);
+    expect(region.capturingDocument).to.be.true;
+    mouse(document.body, 'mousemove', 150, 50);
+    mouse(document.body, 'mouseup', 150, 50);
+    expect(phases).to.deep.equal(['began', 'changed', 'ended']);
+    expect(region.capturingDocument).to.be.false;
+    expect(region.state.inputs).to.be.empty;
+    region.destroy();
+  });
+
+  it('should cancel an input that leaves a region without it', function() {
+    let region = new Region(element);
+    let phases = [];
+    region.bind(element, 'pan', function(e) {
+      phases.push(e.detail.phase);
+    });
+
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mousemove', 90, 50);
+    mouse(element, 'mousemove', 150, 50);
+    mouse(element, 'mousemove', 160, 50);
+    expect(phases).to.deep.equal(['began', 'changed', 'cancelled']);
+    region.destroy();
+  });
+});
+
+/** @test {Region.on} */
+describe('Region.on(\'trace\')', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+  let region;
+  let records;
+  let hook = function(record) {
+    records.push(record);
+  };
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new Region(element);
+    region.bind(element, 'tap', function() {});
+    records = [];
+    region.on('trace', hook);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should trace each stage of a recognized gesture', function() {
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mouseup', 50, 50);
+    expect(records.map((record) => record.stage)).to.deep.equal([
+      'input', 'match', 'hook', 'input', 'match', 'hook', 'dispatch',
+      'reset',
+    ]);
+    expect(records[0].inputs).to.deep.equal(
+      [{identifier: 0, type: 'start', x: 50, y: 50}]);
+    expect(records[5]).to.include({hook: 'end'});
+    expect(records[5].result).to.be.an('object');
+    expect(records[6]).to.include({eventName: 'zt:tap'});
+    expect(records[7]).to.include({reason: 'ended'});
+  });
+
+  it('should trace why the inputs are reset', function() {
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mousemove', 150, 50);
+    mouse(element, 'mousemove', 160, 50);
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mousedown', 50, 50);
+    touch(element, 'touchstart', 50, 50);
+    touch(element, 'touchcancel', 50, 50);
+    expect(records.filter((record) => record.stage === 'reset')
+      .map((record) => record.reason)).to.deep.equal(
+        ['left region', 'stale start', 'cancelled']);
+  });
+
+  it('should no longer be called once removed with Region.off', function() {
+    region.off('trace', hook);
+    mouse(element, 'mousedown', 50, 50);
+    mouse(element, 'mouseup', 50, 50);
+    expect(records).to.be.empty;
+  });
+
+  it('should throw an error for an unknown hook', function() {
+    expect(() => region.on('gesture', hook)).to.throw(Error);
+    expect(() => region.on('trace')).to.throw(Error);
+  });
+});
+
+/** @test {Region.once} */
+describe('Region.once', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should resolve with the detail of the next emission', function() {
+    let promise = region.once(element, 'tap');
+    testing.touch(element).down().up();
+    expect(region.state.bindings).to.be.empty;
+    return promise.then((detail) => {
+      expect(detail.phase).to.equal('ended');
+      expect(detail.gestureId).to.equal(
+        region.state.registeredGestures.tap.getId());
+    });
+  });
+
+  it('should reject and unbind once its signal is aborted', function() {
+    let signal = createSignal();
+    let promise = region.once(element, 'tap', {signal: signal});
+    signal.abort();
+    expect(region.state.bindings).to.be.empty;
+    return promise.then(() => {
+      throw new Error('The promise was resolved');
+    }, (error) => {
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+
+  it('should reject once the region is destroyed', function() {
+    let other = new ZingTouch.Region(element);
+    let promise = other.once(element, 'tap');
+    other.destroy();
+    expect(other.waiting).to.be.empty;
+    return promise.then(() => {
+      throw new Error('The promise was resolved');
+    }, (error) => {
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+});
+
+/** @test {Region.stream} */
+describe('Region.stream', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should iterate over the emissions in order', function() {
+    let stream = region.stream(element, 'tap');
+    expect(stream).to.be.an.instanceof(Stream);
+    let first = stream.next();
+    testing.touch(element).down().up();
+    testing.touch(element).down().up();
+    return first.then((result) => {
+      expect(result.done).to.be.false;
+      expect(result.value.phase).to.equal('ended');
+      return stream.next();
+    }).then((result) => {
+      expect(result.done).to.be.false;
+      return stream.return();
+    }).then((result) => {
+      expect(result.done).to.be.true;
+      expect(region.state.bindings).to.be.empty;
+      return stream.next();
+    }).then((result) => {
+      expect(result.done).to.be.true;
+    });
+  });
+
+  it('should reject and unbind once its signal is aborted', function() {
+    let signal = createSignal();
+    let stream = region.stream(element, 'pan', {signal: signal});
+    let next = stream.next();
+    signal.abort();
+    expect(region.state.bindings).to.be.empty;
+    return next.then(() => {
+      throw new Error('The promise was resolved');
+    }, (error) => {
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+
+  it('should be closed once the region is destroyed', function() {
+    let other = new ZingTouch.Region(element);
+    let stream = other.stream(element, 'pan');
+    let next = stream.next();
+    other.destroy();
+    expect(stream.done).to.be.true;
+    expect(other.waiting).to.be.empty;
+    return next.then(() => {
+      throw new Error('The promise was resolved');
+    }, (error) => {
+      expect(error.name).to.equal('AbortError');
+    });
+  });
+});
+
+/** @test {Region.bindTarget} */
+describe('Region.bindTarget', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 100, top: 100, width: 200, height: 200};
+  };
+  let left = {hitTest: (x, y) => x < 100};
+  let right = {hitTest: (x, y) => x >= 100};
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should emit to the target hit by the inputs', function() {
+    let tapped = [];
+    region.bindTarget(left, 'tap', (e) => tapped.push(e.detail.target));
+    region.bindTarget(right, 'tap', (e) => tapped.push(e.detail.target));
+
+    testing.touch(element).down(150, 150).up();
+    testing.touch(element).down(250, 150).up();
+    expect(tapped).to.deep.equal([left, right]);
+  });
+
+  it('should call the gesture callbacks with the target', function() {
+    let targets = [];
+    let tap = new ZingTouch.Tap({
+      onEnd: (detail, binding) => targets.push(detail.target, binding.target),
+    });
+    region.bindTarget(right, tap);
+
+    testing.touch(element).down(150, 150).up();
+    testing.touch(element).down(250, 150).up();
+    expect(targets).to.deep.equal([right, right]);
+  });
+
+  it('should emit to the target rather than the element it is drawn on',
+    function() {
+      let tapped = [];
+      region.bind(element, 'tap', (e) => {
+        tapped.push(e.detail.target || element);
+      });
+      region.bindTarget(left, 'tap', () => {});
+
+      testing.touch(element).down(150, 150).up();
+      testing.touch(element).down(250, 150).up();
+      expect(tapped).to.deep.equal([left, element]);
+    });
+
+  it('should be unbound with Region.unbind', function() {
+    region.bindTarget(left, 'tap', () => {});
+    region.bind(element, 'tap', () => {});
+    expect(region.unbind(left)).to.have.lengthOf(1);
+    expect(region.state.bindings).to.have.lengthOf(1);
+  });
+
+  it('should throw an error for a target without a hitTest function',
+    function() {
+      expect(() => region.bindTarget({}, 'tap', () => {})).to.throw(Error);
+    });
+});
+
+/** @test {Region} */
+describe('Region target resolution', function() {
+  let container = document.createElement('div');
+  let card = document.createElement('div');
+  let label = document.createElement('span');
+  let overlay = document.createElement('div');
+  card.appendChild(label);
+  container.appendChild(card);
+  container.appendChild(overlay);
+  [container, card, label, overlay].forEach((element) => {
+    element.getBoundingClientRect = function() {
+      return {left: 0, top: 0, width: 200, height: 200};
+    };
+  });
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(container);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(container);
+  });
+
+  it('should leave out bindings covered by the element hit', function() {
+    region = new ZingTouch.Region(container);
+    let tapped = [];
+    region.bind(card, 'tap', () => tapped.push(card));
+    region.bind(overlay, 'tap', () => tapped.push(overlay));
+
+    testing.touch(overlay).down(100, 100).up();
+    expect(tapped).to.deep.equal([overlay]);
+  });
+
+  it('should resolve bindings from the ancestors of the element hit',
+    function() {
+      region = new ZingTouch.Region(container);
+      let tapped = [];
+      region.bind(card, 'tap', () => tapped.push(card));
+
+      testing.touch(label).down(100, 100).up();
+      expect(tapped).to.deep.equal([card]);
+    });
+
+  it('should resolve bindings by rectangle with the rect mode', function() {
+    region = new ZingTouch.Region(container, {targetResolution: 'rect'});
+    let tapped = [];
+    region.bind(card, 'tap', () => tapped.push(card));
+
+    testing.touch(overlay).down(100, 100).up();
+    expect(tapped).to.deep.equal([card]);
+  });
+
+  it('should throw an error for an unknown mode', function() {
+    region = new ZingTouch.Region(container);
+    expect(() => new ZingTouch.Region(container, {targetResolution: 'top'}))
+      .to.throw(Error);
+  });
+});
@@ -2,6 +2,7 @@
 
 import State from './../../../src/core/classes/State.js';
 import Gesture from './../../../src/gestures/Gesture.js';
+import Tap from './../../../src/gestures/Tap.js';
 
 /** @test {State} */
 describe('State', function() {
@@ -61,6 +62,214 @@ describe('State.addBinding', function() {
         }, false, false);
       }).to.throw('Parameter for the gesture is not of a Gesture type');
     });
+
+  it('should remove the binding once its signal is aborted', function() {
+    let state = new State();
+    let signal = createSignal();
+    let binding = state.addBinding(document.body, 'tap', function() {
+    }, {signal: signal});
+    let other = state.addBinding(document.body, 'tap', function() {
+    });
+    expect(signal.listeners).to.have.lengthOf(1);
+
+    signal.abort();
+    expect(state.bindings).to.deep.equal([other]);
+    expect(signal.listeners).to.be.empty;
+    expect(binding.abortListener).to.be.null;
+  });
+
+  it('should not add a binding with an aborted signal', function() {
+    let state = new State();
+    let signal = createSignal();
+    signal.abort();
+    state.addBinding(document.body, 'tap', function() {
+    }, {signal: signal});
+    expect(state.bindings).to.be.empty;
+  });
+});
+
+/** @test {State.addDelegate} */
+describe('State.addDelegate', function() {
+  let root = document.createElement('ul');
+  root.innerHTML = '<li><span></span></li><li></li>';
+
+  it('should throw an error for an invalid selector', function() {
+    let state = new State();
+    expect(function() {
+      state.addDelegate(root, null, 'tap', function() {
+      });
+    }).to.throw('Parameter selector is an invalid string');
+  });
+
+  it('should bind the elements matched from a starting target', function() {
+    let state = new State();
+    let called = false;
+    let delegate = state.addDelegate(root, 'li', 'tap', function() {
+      called = true;
+    });
+    expect(state.bindings).to.be.empty;
+
+    state.resolveDelegates(root.firstChild.firstChild);
+    state.resolveDelegates(root.firstChild);
+    expect(state.bindings).to.have.lengthOf(1);
+    expect(state.bindings[0].element).to.equal(root.firstChild);
+    expect(state.bindings[0].delegate).to.equal(delegate);
+
+    root.firstChild.dispatchEvent(new CustomEvent('zt:tap', {
+      detail: {gestureId: delegate.gesture.getId()},
+    }));
+    expect(called).to.be.true;
+  });
+
+  it('should remove the bindings once released or removed', function() {
+    let state = new State();
+    let delegate = state.addDelegate(root, 'li', 'tap', function() {
+    });
+    state.resolveDelegates(root.firstChild);
+    state.releaseDelegates();
+    expect(state.bindings).to.be.empty;
+
+    state.resolveDelegates(root.lastChild);
+    state.removeBinding(delegate);
+    expect(state.bindings).to.be.empty;
+    expect(state.delegates).to.be.empty;
+  });
+
+  it('should set the touch-action of the delegations on the root',
+    function() {
+      let state = new State();
+      let element = document.createElement('ul');
+      let swipe = state.addDelegate(element, 'li', 'swipe', function() {
+      }, {touchAction: 'pan-y'});
+      expect(element.style['touch-action']).to.equal('pan-y');
+
+      let tap = state.addDelegate(element, 'li', 'tap', function() {
+      });
+      expect(element.style['touch-action']).to.equal('none');
+
+      state.removeBinding(tap);
+      expect(element.style['touch-action']).to.equal('pan-y');
+      state.removeBinding(swipe);
+      expect(element.style['touch-action']).to.not.be.ok;
+    });
+});
+
+/** @test {State.updateTouchAction} */
+describe('State.updateTouchAction', function() {
+  it('should only allow what all bindings of an element allow', function() {
+    let state = new State();
+    let element = document.createElement('div');
+    state.addBinding(element, 'swipe', function() {
+    }, {touchAction: 'pan-y'}, false);
+    expect(element.style['touch-action']).to.equal('pan-y');
+
+    let binding = state.addBinding(element, 'tap', function() {
+    }, false, false);
+    expect(element.style['touch-action']).to.equal('none');
+
+    state.removeBinding(binding);
+    expect(element.style['touch-action']).to.equal('pan-y');
+  });
+
+  it('should restore the inline touch-action of an element', function() {
+    let state = new State();
+    let element = document.createElement('div');
+    element.style['touch-action'] = 'manipulation';
+    let binding = state.addBinding(element, 'tap', function() {
+    }, false, false);
+    expect(element.style['touch-action']).to.equal('none');
+
+    state.removeBinding(binding);
+    expect(element.style['touch-action']).to.equal('manipulation');
+
+    state.addBinding(element, 'tap', function() {
+    }, false, false);
+    state.clear();
+    expect(element.style['touch-action']).to.equal('manipulation');
+  });
+
+  it('should not be set if default behaviour is not prevented', function() {
+    let state = new State(0, false);
+    let element = document.createElement('div');
+    state.addBinding(element, 'tap', function() {
+    }, false, false);
+    expect(element.style['touch-action']).to.not.be.ok;
+  });
+});
+
+/** @test {State.removeBinding} */
+describe('State.removeBinding', function() {
+  it('should remove the binding and its listener', function() {
+    let state = new State();
+    let called = false;
+    let binding = state.addBinding(document.body, 'tap', function() {
+      called = true;
+    }, false, false);
+
+    state.removeBinding(binding);
+    expect(state.bindings).to.be.empty;
+    document.body.dispatchEvent(new CustomEvent(binding.eventName, {
+      detail: {gestureId: binding.gesture.getId()},
+    }));
+    expect(called).to.be.false;
+  });
+});
+
+/** @test {State.getEventName} */
+describe('State.getEventName', function() {
+  it('should name events after the type of the gesture', function() {
+    let state = new State();
+    let binding = state.addBinding(document.body, 'tap', function() {
+    });
+    expect(binding.eventName).to.equal('zt:tap');
+    expect(state.getEventName(state.registeredGestures.pan))
+      .to.equal('zt:pan');
+    state.removeBinding(binding);
+  });
+
+  it('should use the prefix of the region', function() {
+    let state = new State(0, true, 'my-');
+    expect(state.getEventName(state.registeredGestures.pan))
+      .to.equal('my-pan');
+  });
+
+  it('should only call handlers for events of their own gesture', function() {
+    let state = new State();
+    let gesture = new Tap();
+    let calls = [];
+    let binding = state.addBinding(document.body, 'tap', function() {
+      calls.push('registered');
+    });
+    let other = state.addBinding(document.body, gesture, function() {
+      calls.push('instance');
+    });
+    expect(other.eventName).to.equal('zt:tap');
+
+    document.body.dispatchEvent(new CustomEvent('zt:tap', {
+      detail: {gestureId: gesture.getId()},
+    }));
+    expect(calls).to.deep.equal(['instance']);
+    state.removeBinding(binding);
+    state.removeBinding(other);
+  });
+});
+
+/** @test {State.clear} */
+describe('State.clear', function() {
+  it('should remove all bindings, ticks and progress', function() {
+    let state = new State();
+    let binding = state.addBinding(document.body, 'tap', function() {
+    }, false, false);
+    state.addBinding(document.body, 'pan', function() {
+    }, false, false);
+    state.requestTick(binding, 100);
+    state.getGestureProgress('tap').count = 1;
+
+    state.clear();
+    expect(state.bindings).to.be.empty;
+    expect(state.ticks).to.be.empty;
+    expect(state.progress).to.be.empty;
+  });
 });
 
 /** @test {State.retrieveBindings} */
@@ -77,3 +286,138 @@ describe('State.retrieveBindings', function() {
     expect(state.retrieveBindingsByElement(document.body)).to.not.be.empty;
   });
 });
+
+/** @test {State.requestTick} */
+describe('State.requestTick', function() {
+  it('should keep a single tick per binding', function() {
+    let state = new State();
+    state.addBinding(document.body, 'press', function() {
+    }, false, false);
+    let binding = state.bindings[0];
+
+    state.requestTick(binding, 100);
+    state.requestTick(binding, 200);
+
+    expect(state.ticks).to.have.lengthOf(1);
+    expect(state.ticks[0].delay).to.equal(200);
+  });
+
+  it('should keep the ticks of bindings sharing a gesture apart', function() {
+    let state = new State();
+    let first = state.addBinding(document.body, 'press', function() {
+    }, false, false);
+    let second = state.addBinding(document.documentElement, 'press',
+      function() {}, false, false);
+
+    state.requestTick(first, 100);
+    state.requestTick(second, 200);
+    expect(state.ticks.map((tick) => tick.binding)).to.deep.equal(
+      [first, second]);
+
+    state.removeBinding(first);
+    expect(state.ticks.map((tick) => tick.binding)).to.deep.equal([second]);
+  });
+
+  it('should remove a cancelled tick', function() {
+    let state = new State();
+    state.addBinding(document.body, 'press', function() {
+    }, false, false);
+    let binding = state.bindings[0];
+
+    state.requestTick(binding, 100);
+    state.cancelTick(binding);
+    expect(state.ticks).to.be.empty;
+  });
+});
+
+/** @test {State.requestFrame} */
+describe('State.requestFrame', function() {
+  it('should replace a tick with one waiting for an animation frame',
+    function() {
+      let state = new State();
+      let binding = state.addBinding(document.body, 'pan', function() {
+      }, false, false);
+
+      state.requestTick(binding, 100);
+      state.requestFrame(binding);
+
+      expect(state.ticks).to.have.lengthOf(1);
+      expect(state.ticks[0].frame).to.be.true;
+    });
+});
+
+/** @test {State.getGestureProgress} */
+describe('State.getGestureProgress', function() {
+  it('should keep progress when the inputs are reset', function() {
+    let state = new State();
+    state.getGestureProgress('tap').foo = 8;
+    state.resetInputs();
+    expect(state.getGestureProgress('tap').foo).to.equal(8);
+  });
+
+  it('should reset the progress of an existing progress state', function() {
+    let state = new State();
+    state.getGestureProgress('tap').foo = 8;
+    state.resetProgress('tap');
+    expect(state.getGestureProgress('tap')).to.be.empty;
+  });
+});
+
+/** @test {State.isGesturePossible} */
+describe('State.isGesturePossible', function() {
+  it('should not be possible without any inputs', function() {
+    let state = new State();
+    state.addBinding(document.body, 'pan', function() {});
+    expect(state.isGesturePossible(state.registeredGestures.pan)).to.be.false;
+  });
+
+  it('should be possible while a sequence of taps is incomplete', function() {
+    let state = new State();
+    let doubleTap = new Tap({taps: 2});
+    state.addBinding(document.body, doubleTap, function() {});
+    doubleTap.countTap({x: 0, y: 0}, 0, 50, state);
+    expect(state.isGesturePossible(doubleTap)).to.be.true;
+  });
+});
+
+/** @test {State.resetInputs} */
+describe('State.resetInputs', function() {
+  it('should only keep the candidates waiting on a sequence of taps',
+    function() {
+    let state = new State();
+    let doubleTap = new Tap({taps: 2});
+    state.addBinding(document.body, doubleTap, function() {});
+    let tap = state.addBinding(document.body, 'tap', function() {})
+      .requireFailureOf(doubleTap);
+    let pan = state.addBinding(document.body, 'pan', function() {})
+      .requireFailureOf('swipe');
+    state.held = [{binding: tap}, {binding: pan}];
+    doubleTap.countTap({x: 0, y: 0}, 0, 50, state);
+
+    state.resetInputs();
+    expect(state.held.map((candidate) => candidate.binding)).to.deep.equal(
+      [tap]);
+  });
+});
+
+/**
+ * Creates an object behaving like an AbortSignal, for browsers without one.
+ * @return {Object}
+ */
+function createSignal() {
+  let signal = {
+    aborted: false,
+    listeners: [],
+    addEventListener: function(type, listener) {
+      signal.listeners.push(listener);
+    },
+    removeEventListener: function(type, listener) {
+      signal.listeners.splice(signal.listeners.indexOf(listener), 1);
+    },
+    abort: function() {
+      signal.aborted = true;
+      signal.listeners.slice().forEach((listener) => listener());
+    },
+  };
+  return signal;
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * @file clock.spec.js
+ * Tests the default clock
+ */
+import clock from './../../src/core/clock.js';
+
+/** @test {clock.now} */
+describe('clock.now', function() {
+  it('should time an event with its timeStamp', function() {
+    let now = clock.now();
+    expect(clock.now({timeStamp: now - 10})).to.equal(now - 10);
+  });
+
+  it('should time an event from another origin as it is received',
+    function() {
+      let now = clock.now();
+      let time = clock.now({timeStamp: now + 1e12});
+      expect(time).to.be.at.least(now);
+      expect(time).to.be.below(now + 1e12);
+      expect(clock.now({timeStamp: 0})).to.be.at.least(now);
+    });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * @file replay.spec.js
+ * Tests the replay of recorded traces
+ */
+import Clock from './../../src/testing/Clock.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {replay} */
+describe('replay', function() {
+  let element = document.createElement('div');
+  let left = 0;
+  element.getBoundingClientRect = function() {
+    return {left: left, top: 0, width: 400, height: 400};
+  };
+  let clock;
+  let region;
+  let emitted;
+  let trace;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    left = 0;
+    clock = new Clock(1000);
+    region = new ZingTouch.Region(element, {clock: clock});
+    emitted = [];
+    region.bind(element, 'swipe', function(e) {
+      emitted.push(e.detail.data[0]);
+    });
+
+    let recorder = region.record();
+    testing.touch(element).down(10, 10).moveTo(300, 10, {over: 96}).up();
+    trace = JSON.stringify(recorder.stop());
+    clock.advance(1000);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should replay a trace with the timing it was recorded with',
+    function() {
+      let recorded = emitted.slice();
+      emitted = [];
+      let done = false;
+      region.replay(trace, {done: () => done = true});
+      expect(emitted).to.have.lengthOf(0);
+
+      clock.advance(96);
+      expect(done).to.equal(true);
+      expect(emitted).to.have.lengthOf(1);
+      expect(emitted[0].velocity).to.be.closeTo(recorded[0].velocity, 1e-6);
+      expect(emitted[0].duration).to.be.closeTo(recorded[0].duration, 1e-6);
+    });
+
+  it('should replay an accelerated trace as the gestures recorded it',
+    function() {
+      let recorded = emitted.slice();
+      emitted = [];
+      let done = false;
+      region.replay(trace, {speed: 4, done: () => done = true});
+      expect(region.state.clock).to.not.equal(clock);
+
+      clock.advance(24);
+      expect(done).to.equal(true);
+      expect(region.state.clock).to.equal(clock);
+      expect(emitted).to.have.lengthOf(1);
+      expect(emitted[0].velocity).to.be.closeTo(recorded[0].velocity, 1e-6);
+    });
+
+  it('should position the inputs relative to the region', function() {
+    left = 100;
+    let recorder = region.record();
+    region.replay(trace);
+    clock.advance(96);
+    expect(recorder.stop().events[0].inputs[0]).to.include({x: 10, y: 10});
+  });
+
+  it('should stop a cancelled replay', function() {
+    emitted = [];
+    let replay = region.replay(trace, {speed: 2});
+    clock.advance(16);
+    replay.cancel();
+    clock.advance(100);
+    expect(replay.finished).to.equal(true);
+    expect(emitted).to.have.lengthOf(0);
+    expect(region.state.inputs).to.have.lengthOf(0);
+    expect(region.state.clock).to.equal(clock);
+  });
+
+  it('should stop a replay once its region is destroyed', function() {
+    let other = new ZingTouch.Region(element, {clock: clock});
+    let replay = other.replay(trace);
+    clock.advance(16);
+    other.destroy();
+    expect(replay.finished).to.equal(true);
+    expect(clock.timers).to.have.lengthOf(0);
+  });
+
+  it('should throw an error for a trace of another version', function() {
+    expect(() => region.replay({version: 0, events: []})).to.throw(Error);
+  });
+});
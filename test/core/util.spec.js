@@ -32,6 +32,11 @@ describe('util.normalizeEvent', function() {
     expect(util.normalizeEvent[ 'touchend' ]).to.equal('end');
   });
 
+  it('should expect to emit cancel', function() {
+    expect(util.normalizeEvent['touchcancel']).to.equal('cancel');
+    expect(util.normalizeEvent['pointercancel']).to.equal('cancel');
+  });
+
   it('should expect to emit null for unknown events', function() {
     expect(util.normalizeEvent[ 'foobar' ]).to.be.undefined;
   });
@@ -99,3 +104,141 @@ describe('util.getAngularDistance', function() {
     expect(util.getAngularDistance(360, 360)).to.equal(0);
   });
 });
+
+/** @test {util.getLocalPosition} */
+describe('util.getLocalPosition', function() {
+  let getTransform = util.getTransform;
+  let element = document.createElement('div');
+  Object.defineProperty(element, 'offsetWidth', {value: 100});
+  Object.defineProperty(element, 'offsetHeight', {value: 50});
+
+  /**
+   * Stubs the element's transform and the bounding rectangle it results in.
+   * @param {Array} matrix
+   * @param {Object} rect
+   */
+  function transform(matrix, rect) {
+    util.getTransform = function() {
+      return (matrix) ? {matrix: matrix, origin: {x: 50, y: 25}} : null;
+    };
+    element.getBoundingClientRect = function() {
+      return rect;
+    };
+  }
+
+  afterEach(function() {
+    util.getTransform = getTransform;
+  });
+
+  it('should be relative to an untransformed element', function() {
+    transform(null, {left: 100, top: 100, width: 100, height: 50});
+    expect(util.getLocalPosition(110, 120, element))
+      .to.deep.equal({x: 10, y: 20});
+  });
+
+  it('should invert the scale of an element', function() {
+    transform([2, 0, 0, 2, 0, 0],
+      {left: 50, top: 75, width: 200, height: 100});
+    expect(util.getLocalPosition(50, 75, element))
+      .to.deep.equal({x: 0, y: 0});
+    expect(util.getLocalPosition(250, 175, element))
+      .to.deep.equal({x: 100, y: 50});
+  });
+
+  it('should invert the rotation of an element', function() {
+    transform([0, 1, -1, 0, 0, 0],
+      {left: 125, top: 75, width: 50, height: 100});
+    expect(util.getLocalPosition(175, 75, element))
+      .to.deep.equal({x: 0, y: 0});
+    expect(util.getLocalPosition(150, 125, element))
+      .to.deep.equal({x: 50, y: 25});
+  });
+});
+
+/** @test {util.intersectTouchActions} */
+describe('util.intersectTouchActions', function() {
+  it('should keep the behaviours allowed by all values', function() {
+    expect(util.intersectTouchActions(['pan-y', 'manipulation']))
+      .to.equal('pan-y');
+    expect(util.intersectTouchActions(['pan-x pinch-zoom', 'auto']))
+      .to.equal('pan-x pinch-zoom');
+    expect(util.intersectTouchActions(['pan-left pan-up', 'pan-x']))
+      .to.equal('pan-left');
+  });
+
+  it('should return none if no behaviour is allowed by all', function() {
+    expect(util.intersectTouchActions(['pan-x', 'pan-y'])).to.equal('none');
+    expect(util.intersectTouchActions(['none', 'auto'])).to.equal('none');
+  });
+
+  it('should prefer the shorthand values', function() {
+    expect(util.intersectTouchActions(['pan-x pan-y pinch-zoom']))
+      .to.equal('manipulation');
+    expect(util.intersectTouchActions(['pan-left pan-right']))
+      .to.equal('pan-x');
+  });
+});
+
+/** @test {util.getDirection} */
+describe('util.getDirection', function() {
+  it('should return the direction along the furthest axis', function() {
+    expect(util.getDirection(0, 0, 10, 2)).to.equal('right');
+    expect(util.getDirection(0, 0, -10, 2)).to.equal('left');
+    expect(util.getDirection(0, 0, 2, -10)).to.equal('up');
+    expect(util.getDirection(0, 0, 2, 10)).to.equal('down');
+  });
+});
+
+/** @test {util.getClosest} */
+describe('util.getClosest', function() {
+  let root = document.createElement('ul');
+  root.className = 'row';
+  root.innerHTML = '<li class="row"><span><b>text</b></span></li>';
+  let row = root.firstChild;
+
+  it('should return the closest matching element', function() {
+    expect(util.getClosest(row.firstChild.firstChild, '.row', root))
+      .to.equal(row);
+    expect(util.getClosest(row, 'li', root)).to.equal(row);
+  });
+
+  it('should not match the root or any element outside of it', function() {
+    expect(util.getClosest(row, 'ul', root)).to.be.null;
+    expect(util.getClosest(row, 'li', row.firstChild)).to.be.null;
+  });
+});
+
+/** @test {util.isInside} */
+describe('util.isInside', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 50};
+  };
+
+  it('should test the bounding rectangle by default', function() {
+    expect(util.isInside(5, 5, element)).to.be.true;
+    expect(util.isInside(5, 5, element, 'rect')).to.be.true;
+    expect(util.isInside(150, 5, element)).to.be.false;
+  });
+
+  it('should test the ellipse inscribed in the rectangle', function() {
+    expect(util.isInside(50, 25, element, 'circle')).to.be.true;
+    expect(util.isInside(95, 25, element, 'circle')).to.be.true;
+    expect(util.isInside(5, 5, element, 'circle')).to.be.false;
+  });
+
+  it('should test the topmost element for the shape of an element',
+    function() {
+      let child = document.createElement('span');
+      element.appendChild(child);
+      let elementFromPoint = document.elementFromPoint;
+      document.elementFromPoint = function(x, y) {
+        return (x < 50) ? child : document.body;
+      };
+
+      expect(util.isInside(10, 10, element, 'shape')).to.be.true;
+      expect(util.isInside(60, 10, element, 'shape')).to.be.false;
+      document.elementFromPoint = elementFromPoint;
+      element.removeChild(child);
+    });
+});
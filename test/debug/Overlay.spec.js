@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * @file Overlay.spec.js
+ * Tests Overlay class
+ */
+import Clock from './../../src/testing/Clock.js';
+import Overlay from './../../src/debug/Overlay.js';
+import debug from './../../src/debug/debug.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Overlay} */
+describe('Overlay', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+  let clock;
+  let region;
+  let overlay;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    clock = new Clock();
+    region = new ZingTouch.Region(element, {clock: clock});
+    region.bind(element, 'tap', function() {});
+    overlay = debug(region);
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should be instantiated by debug', function() {
+    expect(overlay).to.be.an.instanceof(Overlay);
+    expect(debug(region)).to.equal(overlay);
+    expect(overlay.element.parentNode).to.equal(document.body);
+  });
+
+  it('should draw the inputs, their trails and the bound elements',
+    function() {
+      let touch = testing.touch(element).down(10, 10).moveTo(20, 10);
+      clock.advance(16);
+      expect(overlay.canvas.querySelectorAll('circle')).to.have.lengthOf(1);
+      expect(overlay.canvas.querySelector('polyline')
+        .getAttribute('points')).to.equal('10,10 20,10');
+      expect(overlay.canvas.querySelector('rect')
+        .getAttribute('stroke')).to.equal('#4caf50');
+      expect(overlay.panel.textContent).to.contain('tap on <div>');
+      expect(overlay.panel.textContent).to.contain('(under inputs)');
+      touch.up();
+    });
+
+  it('should show the progress kept on each binding', function() {
+    region.bind(element, 'press', function() {});
+    let touch = testing.touch(element).down(10, 10);
+    clock.advance(16);
+    expect(overlay.panel.textContent).to.contain(
+      'binding progress: {"start":0,"held":true,"failed":false}');
+    touch.up();
+  });
+
+  it('should show the last data emitted and flash the gesture', function() {
+    testing.touch(element).down(10, 10).up();
+    clock.advance(16);
+    expect(overlay.panel.textContent).to.contain('"phase":"ended"');
+    expect(overlay.flash.textContent).to.contain('tap');
+
+    clock.advance(1000);
+    expect(overlay.flash.textContent).to.equal('');
+  });
+
+  it('should be removed once destroyed', function() {
+    overlay.destroy();
+    expect(overlay.element.parentNode).to.equal(null);
+    expect(region.overlay).to.equal(null);
+  });
+});
@@ -4,7 +4,14 @@
  * @file Gesture.js
  * Tests Gesture class
  */
+import Clock from './../../src/testing/Clock.js';
 import Gesture from './../../src/gestures/Gesture.js';
+import Pan from './../../src/gestures/Pan.js';
+import Tap from './../../src/gestures/Tap.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
 
 /** @test {Gesture} */
 describe('Gesture', function() {
@@ -20,3 +27,125 @@ describe('Gesture.getType', function() {
     expect(_gesture.getType()).to.equal(null);
   });
 });
+
+/** @test {Gesture} */
+describe('Gesture callbacks', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element, {clock: new Clock()});
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should call the callback of each phase with the data and binding',
+    function() {
+      let calls = [];
+      let pan = new Pan({
+        onStart: (data, binding) => calls.push(['start', data, binding]),
+        onMove: (data, binding) => calls.push(['move', data, binding]),
+        onEnd: (data, binding) => calls.push(['end', data, binding]),
+      });
+      let binding = region.bind(element, pan);
+
+      testing.touch(element).down(10, 10).moveTo(50, 10, {steps: 2}).up();
+      expect(calls.map((call) => call[0])).to.deep.equal(
+        ['start', 'move', 'end']);
+      expect(calls[0][1].phase).to.equal('began');
+      expect(calls[0][1].data[0].distanceFromOrigin).to.equal(20);
+      expect(calls[0][2]).to.equal(binding);
+    });
+
+  it('should call the callbacks before the bound handler', function() {
+    let calls = [];
+    let tap = new Tap({onEnd: () => calls.push('callback')});
+    region.bind(element, tap, () => calls.push('handler'));
+
+    testing.touch(element).down().up();
+    expect(calls).to.deep.equal(['callback', 'handler']);
+  });
+
+  it('should not emit DOM events without domEvents', function() {
+    let ended = false;
+    let emitted = false;
+    let tap = new Tap({domEvents: false, onEnd: () => ended = true});
+    region.bind(element, tap);
+    element.addEventListener('zt:tap', () => emitted = true);
+
+    testing.touch(element).down().up();
+    expect(ended).to.be.true;
+    expect(emitted).to.be.false;
+  });
+
+  it('should require a handler for a gesture without callbacks', function() {
+    expect(() => region.bind(element, new Tap())).to.throw(Error);
+    expect(() => region.bind(element, new Tap({domEvents: false}),
+      function() {})).to.throw(Error);
+  });
+});
+
+/** @test {Gesture.isValid} */
+describe('Gesture.isValid', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 100, height: 100};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element, {clock: new Clock()});
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should test the inputs by the hit-test mode of the binding',
+    function() {
+      let gesture = new Gesture();
+      let binding = region.bind(element, 'tap', () => {}, {hitTest: 'circle'});
+      let corner = [{initial: {x: 5, y: 5}, hits: []}];
+      let center = [{initial: {x: 50, y: 50}, hits: []}];
+      expect(gesture.isValid(corner, region.state, element)).to.be.true;
+      expect(gesture.isValid(corner, region.state, element, binding))
+        .to.be.false;
+      expect(gesture.isValid(center, region.state, element, binding))
+        .to.be.true;
+    });
+
+  it('should not match a binding outside of its hit-test mode', function() {
+    let tapped = 0;
+    region.bind(element, 'tap', () => tapped++, {hitTest: 'circle'});
+
+    testing.touch(element).down(5, 5).up();
+    expect(tapped).to.equal(0);
+    testing.touch(element).down(50, 50).up();
+    expect(tapped).to.equal(1);
+  });
+
+  it('should only hit-test a binding once per input', function() {
+    let tests = 0;
+    let panned = 0;
+    let binding = region.bind(element, 'pan', () => panned++,
+      {hitTest: 'shape'});
+    let hits = binding.hits;
+    binding.hits = function(x, y) {
+      tests++;
+      return hits.call(binding, x, y);
+    };
+
+    testing.touch(element).down(10, 10).moveTo(60, 10, {steps: 5}).up();
+    expect(panned).to.be.above(1);
+    expect(tests).to.equal(1);
+  });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * @file Pan.js
+ * Tests Pan class
+ */
+import Pan from './../../src/gestures/Pan.js';
+import State from './../../src/core/classes/State.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Pan} */
+describe('Pan', function() {
+  it('should be instantiated', function() {
+    expect(Pan).to.not.equal(null);
+  });
+
+  it('should not have momentum by default', function() {
+    let _pan = new Pan();
+    expect(_pan.momentum).to.be.false;
+  });
+
+  it('should accept momentum and friction as parameters', function() {
+    let _pan = new Pan({
+      momentum: true,
+      friction: 0.9,
+    });
+    expect(_pan.momentum).to.be.true;
+    expect(_pan.friction).to.equal(0.9);
+  });
+});
+
+/** @test {Pan.tick} */
+describe('Pan.tick', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  /**
+   * Gives a pan momentum, as if its input was released while moving.
+   * @param {Number} velocity - The x velocity in pixels per millisecond.
+   * @return {Object} - The gesture, state and binding.
+   */
+  function release(velocity) {
+    let state = new State();
+    let _pan = new Pan({momentum: true});
+    let binding = state.addBinding(element, _pan, function() {
+    }, false, false);
+    binding.progress.momentum = {
+      time: state.clock.now() - 16,
+      points: [{
+        initial: {x: 10, y: 10},
+        x: 100,
+        y: 10,
+        velocity: {x: velocity, y: 0},
+      }],
+    };
+    return {pan: _pan, state: state, binding: binding};
+  }
+
+  it('should carry on moving with a decaying velocity', function() {
+    let {pan, state, binding} = release(1);
+    let data = pan.tick([], state, element, binding);
+    expect(data.momentum).to.be.true;
+    expect(data.data[0].change.x).to.be.above(0);
+    expect(data.data[0].velocity.x).to.be.below(1);
+    expect(state.ticks[0].binding).to.equal(binding);
+    expect(state.ticks[0].frame).to.be.true;
+    expect(pan.isPossible([], state, element, binding)).to.be.true;
+  });
+
+  it('should come to a rest once it has slowed down', function() {
+    let {pan, state, binding} = release(0.021);
+    expect(pan.tick([], state, element, binding)).to.not.be.null;
+    expect(state.ticks).to.be.empty;
+    expect(pan.isPossible([], state, element, binding)).to.be.false;
+    expect(pan.tick([], state, element, binding)).to.be.null;
+  });
+
+  it('should stop when cancelled', function() {
+    let {pan, state, binding} = release(1);
+    pan.cancel([], state, element, binding);
+    expect(state.ticks).to.be.empty;
+    expect(pan.tick([], state, element, binding)).to.be.null;
+  });
+});
+
+/** @test {Pan.end} */
+describe('Pan.end', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 400, height: 400};
+  };
+
+  before(function() {
+    document.body.appendChild(element);
+  });
+
+  after(function() {
+    document.body.removeChild(element);
+  });
+
+  it('should launch the momentum at the velocity of the release', function() {
+    let clock = new testing.Clock();
+    let region = new ZingTouch.Region(element, {clock: clock});
+    let velocities = [];
+    region.bind(element, new Pan({momentum: true}), function(e) {
+      if (e.detail.momentum) {
+        velocities.push(e.detail.data[0].velocity.x);
+      }
+    });
+
+    testing.touch(element)
+      .down(10, 10)
+      .moveTo(170, 10, {over: 320, steps: 20})
+      .up()
+      .wait(16);
+    expect(velocities).to.have.lengthOf(1);
+    expect(velocities[0]).to.be.closeTo(0.5 * 0.95, 0.001);
+    region.destroy();
+  });
+
+  it('should only carry on the deepest of nested bindings', function() {
+    let clock = new testing.Clock();
+    let region = new ZingTouch.Region(element, {clock: clock});
+    let inner = document.createElement('div');
+    inner.getBoundingClientRect = element.getBoundingClientRect;
+    element.appendChild(inner);
+    let pan = new Pan({momentum: true});
+    let velocities = [];
+    region.bind(element, pan, function(e) {
+      if (e.detail.momentum) {
+        velocities.push(e.detail.data[0].velocity.x);
+      }
+    });
+    region.bind(inner, pan, function() {});
+
+    testing.touch(inner)
+      .down(10, 10)
+      .moveTo(170, 10, {over: 320, steps: 20})
+      .up()
+      .wait(16);
+    element.removeChild(inner);
+    expect(velocities).to.have.lengthOf(1);
+    expect(velocities[0]).to.be.closeTo(0.5 * 0.95, 0.001);
+    region.destroy();
+  });
+});
+
+/** @test {Pan.move} */
+describe('Pan.move', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+
+  /**
+   * Creates an input that started at the given position.
+   * @param {Number} x
+   * @param {Number} y
+   * @return {Object}
+   */
+  function input(x, y) {
+    let progress = {};
+    return {
+      initial: {x: x, y: y},
+      current: {type: 'start', x: x, y: y},
+      getGestureProgress(id) {
+        progress[id] = progress[id] || {};
+        return progress[id];
+      },
+    };
+  }
+
+  /**
+   * Starts a pan and moves its input.
+   * @param {Pan} _pan
+   * @param {Number} x - The x distance to move by.
+   * @param {Number} y - The y distance to move by.
+   * @return {Object} - The inputs, state and the data emitted by the move.
+   */
+  function move(_pan, x, y) {
+    let state = new State();
+    state.assignGestureId(_pan);
+    let inputs = [input(100, 100)];
+    _pan.start(inputs);
+    inputs[0].current = {type: 'move', x: 100 + x, y: 100 + y};
+    let data = _pan.move(inputs, state, element);
+    return {inputs: inputs, state: state, data: data};
+  }
+
+  it('should fail if it first moves in a rejected direction', function() {
+    let _pan = new Pan({directions: ['left', 'right']});
+    let {inputs, state, data} = move(_pan, 2, 20);
+    expect(data).to.be.null;
+    expect(_pan.claims(inputs)).to.be.false;
+
+    inputs[0].current = {type: 'move', x: 150, y: 120};
+    expect(_pan.move(inputs, state, element)).to.be.null;
+  });
+
+  it('should claim the inputs once it moves in an accepted direction',
+    function() {
+      let _pan = new Pan({directions: ['left', 'right']});
+      let {inputs} = move(_pan, 0, 0);
+      expect(_pan.claims(inputs)).to.be.false;
+
+      inputs[0].current = {type: 'move', x: 80, y: 102};
+      _pan.move(inputs, new State(), element);
+      expect(_pan.claims(inputs)).to.be.true;
+    });
+
+  it('should lock to the axis it first moves along', function() {
+    let _pan = new Pan({lockAxis: true});
+    let {inputs, state, data} = move(_pan, 2, 20);
+    expect(data.data[0].change).to.deep.equal({x: 0, y: 20});
+
+    inputs[0].current = {type: 'move', x: 150, y: 130};
+    data = _pan.move(inputs, state, element);
+    expect(data.data[0].change).to.deep.equal({x: 0, y: 10});
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * @file Press.js
+ * Tests Press class
+ */
+import Press from './../../src/gestures/Press.js';
+import State from './../../src/core/classes/State.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Press} */
+describe('Press', function() {
+  it('should be instantiated', function() {
+    expect(Press).to.not.equal(null);
+  });
+
+  it('should return a Press object.', function() {
+    let _press = new Press();
+    expect(_press instanceof Press).to.be.true;
+  });
+
+  it('should accept duration, tolerance and number of inputs as parameters',
+    function() {
+      let _press = new Press({
+        duration: 1000,
+        tolerance: 20,
+        numInputs: 2,
+      });
+      expect(_press.duration).to.equal(1000);
+      expect(_press.tolerance).to.equal(20);
+      expect(_press.numInputs).to.equal(2);
+    });
+
+  it('should be registered by default', function() {
+    let state = new State();
+    expect(state.registeredGestures.press).to.be.an.instanceof(Press);
+  });
+});
+
+/** @test {Press.tick} */
+describe('Press.tick', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element, {
+      clock: new testing.Clock(),
+    });
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should be emitted once, as it completes', function() {
+    let presses = [];
+    region.bind(element, 'press', function(e) {
+      presses.push([e.detail.phase, e.detail.progress]);
+    });
+
+    testing.touch(element).down(10, 10).wait(600).up();
+    expect(presses).to.deep.equal([['ended', 1]]);
+  });
+
+  it('should end with the completed press after its progress', function() {
+    let presses = [];
+    region.bind(element, new Press({progressInterval: 200}), function(e) {
+      presses.push([e.detail.phase, e.detail.progress]);
+    });
+
+    testing.touch(element).down(10, 10).wait(600).up();
+    expect(presses).to.deep.equal(
+      [['began', 0.4], ['changed', 0.8], ['ended', 1]]);
+  });
+
+  it('should only tick for the deepest of nested bindings', function() {
+    let inner = document.createElement('div');
+    inner.getBoundingClientRect = element.getBoundingClientRect;
+    element.appendChild(inner);
+    let press = new Press({progressInterval: 200});
+    let presses = [];
+    region.bind(element, press, function(e) {
+      presses.push([e.target === inner, e.detail.phase, e.detail.progress]);
+    });
+    region.bind(inner, press, function() {});
+
+    testing.touch(inner).down(10, 10).wait(600).up();
+    element.removeChild(inner);
+    expect(presses).to.deep.equal([
+      [true, 'began', 0.4],
+      [true, 'changed', 0.8],
+      [true, 'ended', 1],
+    ]);
+  });
+
+  it('should be cancelled when its inputs move too far in progress',
+    function() {
+    let presses = [];
+    region.bind(element, new Press({progressInterval: 200}), function(e) {
+      presses.push([e.detail.phase, e.detail.progress]);
+    });
+
+    testing.touch(element).down(10, 10).wait(300).moveTo(50, 10).wait(300)
+      .up();
+    expect(presses).to.deep.equal([['began', 0.4], ['cancelled', 0.4]]);
+  });
+
+  it('should be cancelled when its inputs are released in progress',
+    function() {
+    let presses = [];
+    region.bind(element, new Press({progressInterval: 200}), function(e) {
+      presses.push([e.detail.phase, e.detail.progress]);
+    });
+
+    testing.touch(element).down(10, 10).wait(300).up();
+    expect(presses).to.deep.equal([['began', 0.4], ['cancelled', 0.4]]);
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * @file Swipe.js
+ * Tests Swipe class
+ */
+import Swipe from './../../src/gestures/Swipe.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Swipe} */
+describe('Swipe', function() {
+  it('should be instantiated', function() {
+    expect(Swipe).to.not.equal(null);
+  });
+
+  it('should accept the rest time and escape velocity as parameters',
+    function() {
+      let _swipe = new Swipe({
+        maxRestTime: 200,
+        escapeVelocity: 0.5,
+      });
+      expect(_swipe.maxRestTime).to.equal(200);
+      expect(_swipe.escapeVelocity).to.equal(0.5);
+    });
+});
+
+/** @test {Swipe.end} */
+describe('Swipe.end', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 400, height: 400};
+  };
+  let region;
+  let swipes;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element, {
+      clock: new testing.Clock(),
+    });
+    swipes = [];
+    region.bind(element, 'swipe', function(e) {
+      swipes.push(e.detail.data[0]);
+    });
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should measure the velocity with the clock of the region', function() {
+    testing.touch(element)
+      .down(10, 10)
+      .moveTo(330, 10, {over: 320, steps: 20})
+      .up();
+    expect(swipes).to.have.lengthOf(1);
+    expect(swipes[0].velocity).to.be.closeTo(1, 0.001);
+    expect(swipes[0].duration).to.equal(16);
+  });
+
+  it('should not be emitted below the escape velocity', function() {
+    testing.touch(element)
+      .down(10, 10)
+      .moveTo(42, 10, {over: 320, steps: 20})
+      .up();
+    expect(swipes).to.be.empty;
+  });
+
+  it('should not be emitted once the input has come to a rest', function() {
+    testing.touch(element)
+      .down(10, 10)
+      .moveTo(330, 10, {over: 320, steps: 20})
+      .wait(101)
+      .up();
+    expect(swipes).to.be.empty;
+  });
+});
@@ -5,6 +5,11 @@
  * Tests Tap class
  */
 import Tap from './../../src/gestures/Tap.js';
+import State from './../../src/core/classes/State.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
 
 /** @test {Tap} */
 describe('Tap', function() {
@@ -27,3 +32,115 @@ describe('Tap', function() {
       expect(_tap.numInputs).to.equal(2);
     });
 });
+
+/** @test {Tap.countTap} */
+describe('Tap.countTap', function() {
+  it('should accept the number of taps and their constraints as parameters',
+    function() {
+      let _tap = new Tap({
+        taps: 2,
+        maxInterval: 500,
+        maxDistance: 40,
+      });
+      expect(_tap.taps).to.equal(2);
+      expect(_tap.maxInterval).to.equal(500);
+      expect(_tap.maxDistance).to.equal(40);
+    });
+
+  it('should count consecutive taps in the region\'s progress', function() {
+    let state = new State();
+    let _tap = new Tap({taps: 2});
+    state.addBinding(document.body, _tap, function() {});
+
+    _tap.countTap({x: 10, y: 10}, 0, 50, state);
+    let sequence = _tap.countTap({x: 15, y: 10}, 200, 250, state);
+    expect(sequence.count).to.equal(2);
+  });
+
+  it('should count a tap once for the same end event', function() {
+    let state = new State();
+    let _tap = new Tap({taps: 2});
+    let event = {x: 10, y: 10};
+    state.addBinding(document.body, _tap, function() {});
+
+    _tap.countTap(event, 0, 50, state);
+    let sequence = _tap.countTap(event, 0, 50, state);
+    expect(sequence.count).to.equal(1);
+  });
+
+  it('should start a new sequence for a late or distant tap', function() {
+    let state = new State();
+    let _tap = new Tap({taps: 2});
+    state.addBinding(document.body, _tap, function() {});
+
+    _tap.countTap({x: 10, y: 10}, 0, 50, state);
+    expect(_tap.countTap({x: 10, y: 10}, 1000, 1050, state).count)
+      .to.equal(1);
+    expect(_tap.countTap({x: 200, y: 10}, 1100, 1150, state).count)
+      .to.equal(1);
+  });
+});
+
+/** @test {Tap.end} */
+describe('Tap.end', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    region = new ZingTouch.Region(element, {
+      clock: new testing.Clock(),
+    });
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should be emitted for an input that does not move', function() {
+    let taps = [];
+    region.bind(element, 'tap', function(e) {
+      taps.push(e.detail.phase);
+    });
+
+    testing.touch(element).down(10, 10).up();
+    expect(taps).to.deep.equal(['ended']);
+  });
+
+  it('should time the interval with the clock of the region', function() {
+    let intervals = [];
+    region.bind(element, 'tap', function(e) {
+      intervals.push(e.detail.interval);
+    });
+
+    testing.touch(element).down(10, 10).wait(120).up();
+    testing.touch(element).down(10, 10).wait(301).up();
+    expect(intervals).to.deep.equal([120]);
+  });
+
+  it('should not be emitted for an input that moves too far', function() {
+    let taps = 0;
+    region.bind(element, 'tap', function() {
+      taps++;
+    });
+
+    testing.touch(element).down(10, 10).moveTo(50, 10).up();
+    expect(taps).to.equal(0);
+  });
+
+  it('should be emitted for the expected number of inputs', function() {
+    let taps = 0;
+    region.bind(element, new Tap({numInputs: 2}), function() {
+      taps++;
+    });
+
+    let first = testing.touch(element).down(10, 10);
+    testing.touch(element).down(50, 10).up();
+    first.up();
+    expect(taps).to.equal(1);
+  });
+});
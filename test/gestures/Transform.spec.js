@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * @file Transform.js
+ * Tests Transform class
+ */
+import Transform from './../../src/gestures/Transform.js';
+import Binding from './../../src/core/classes/Binding.js';
+import State from './../../src/core/classes/State.js';
+
+/** @test {Transform} */
+describe('Transform', function() {
+  it('should be instantiated', function() {
+    expect(Transform).to.not.equal(null);
+  });
+
+  it('should return a Transform object.', function() {
+    let _transform = new Transform();
+    expect(_transform instanceof Transform).to.be.true;
+  });
+
+  it('should accept the minimum number of inputs as a parameter', function() {
+    let _transform = new Transform({minInputs: 3});
+    expect(_transform.minInputs).to.equal(3);
+  });
+
+  it('should be registered by default', function() {
+    let state = new State();
+    expect(state.registeredGestures.transform).to.be.an.instanceof(Transform);
+  });
+});
+
+/** @test {Transform.move} */
+describe('Transform.move', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 100, top: 100, width: 200, height: 200};
+  };
+
+  /**
+   * Creates an input that is on the screen at the given position.
+   * @param {Number} identifier
+   * @param {Number} x
+   * @param {Number} y
+   * @return {Object}
+   */
+  function input(identifier, x, y) {
+    let progress = {};
+    return {
+      identifier: identifier,
+      current: {type: 'move', x: x, y: y},
+      getCurrentEventType() {
+        return this.current.type;
+      },
+      getGestureProgress(id) {
+        progress[id] = progress[id] || {};
+        return progress[id];
+      },
+    };
+  }
+
+  /**
+   * Starts a transform with two inputs.
+   * @return {Object} - The gesture, state, binding and inputs.
+   */
+  function begin() {
+    let _transform = new Transform();
+    let state = new State();
+    state.assignGestureId(_transform);
+    let binding = new Binding(element, _transform, function() {});
+    let inputs = [input(0, 150, 200), input(1, 250, 200)];
+    state.inputs = inputs;
+    _transform.start(inputs, state, element, binding);
+    return {
+      transform: _transform,
+      state: state,
+      binding: binding,
+      inputs: inputs,
+    };
+  }
+
+  it('should report the translation of the centroid', function() {
+    let {transform, state, binding, inputs} = begin();
+    inputs[0].current = {type: 'move', x: 160, y: 210};
+    inputs[1].current = {type: 'move', x: 260, y: 210};
+    let data = transform.move(inputs, state, element, binding);
+    expect(data.translation).to.deep.equal({x: 10, y: 10});
+    expect(data.scale).to.equal(1);
+    expect(data.rotation).to.equal(0);
+    expect(data.centroid).to.deep.equal({x: 210, y: 210});
+    expect(data.localCentroid).to.deep.equal({x: 110, y: 110});
+    expect(data.matrix).to.deep.equal([1, 0, 0, 1, 10, 10]);
+  });
+
+  it('should report the scale around the centroid', function() {
+    let {transform, state, binding, inputs} = begin();
+    inputs[0].current = {type: 'move', x: 100, y: 200};
+    inputs[1].current = {type: 'move', x: 300, y: 200};
+    let data = transform.move(inputs, state, element, binding);
+    expect(data.scale).to.equal(2);
+    expect(data.translation).to.deep.equal({x: 0, y: 0});
+    expect(data.matrix).to.deep.equal([2, 0, 0, 2, -100, -100]);
+  });
+
+  it('should report a clockwise rotation as positive', function() {
+    let {transform, state, binding, inputs} = begin();
+    inputs[0].current = {type: 'move', x: 200, y: 150};
+    inputs[1].current = {type: 'move', x: 200, y: 250};
+    let data = transform.move(inputs, state, element, binding);
+    expect(data.rotation).to.equal(90);
+    expect(data.scale).to.equal(1);
+  });
+
+  it('should carry on when an input is added', function() {
+    let {transform, state, binding, inputs} = begin();
+    inputs[0].current = {type: 'move', x: 160, y: 200};
+    inputs[1].current = {type: 'move', x: 260, y: 200};
+    transform.move(inputs, state, element, binding);
+
+    inputs.push(input(2, 210, 300));
+    transform.start(inputs, state, element, binding);
+    inputs.forEach((each) => {
+      each.current = {type: 'move', x: each.current.x + 10, y: each.current.y};
+    });
+    let data = transform.move(inputs, state, element, binding);
+    expect(data.numInputs).to.equal(3);
+    expect(data.matrix).to.deep.equal([1, 0, 0, 1, 20, 0]);
+  });
+
+  it('should keep the transform of each binding apart', function() {
+    let {transform, state, binding, inputs} = begin();
+    let outer = document.createElement('div');
+    outer.getBoundingClientRect = function() {
+      return {left: 0, top: 0, width: 400, height: 400};
+    };
+    let other = new Binding(outer, transform, function() {});
+    transform.start(inputs, state, outer, other);
+    inputs[0].current = {type: 'move', x: 100, y: 200};
+    inputs[1].current = {type: 'move', x: 300, y: 200};
+    let data = transform.move(inputs, state, element, binding);
+    let otherData = transform.move(inputs, state, outer, other);
+    expect(data.matrix).to.deep.equal([2, 0, 0, 2, -100, -100]);
+    expect(otherData.matrix).to.deep.equal([2, 0, 0, 2, -200, -200]);
+  });
+
+  it('should not emit if the inputs have not moved', function() {
+    let {transform, state, binding, inputs} = begin();
+    expect(transform.move(inputs, state, element, binding)).to.be.null;
+  });
+
+  it('should not emit with fewer inputs than the minimum', function() {
+    let {transform, state, binding, inputs} = begin();
+    inputs[1].current = {type: 'end', x: 250, y: 200};
+    expect(transform.move(inputs, state, element, binding)).to.be.null;
+  });
+});
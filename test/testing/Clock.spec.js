@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * @file Clock.spec.js
+ * Tests Clock class
+ */
+import Clock from './../../src/testing/Clock.js';
+
+/** @test {Clock} */
+describe('Clock', function() {
+  it('should only move when it is advanced', function() {
+    let clock = new Clock(100);
+    expect(clock.now()).to.equal(100);
+    expect(clock.advance(50).now()).to.equal(150);
+  });
+});
+
+/** @test {Clock.advance} */
+describe('Clock.advance', function() {
+  it('should call the timers that become due in order', function() {
+    let clock = new Clock();
+    let calls = [];
+    clock.setTimeout(function() {
+      calls.push(['late', clock.now()]);
+    }, 100);
+    clock.setTimeout(function() {
+      calls.push(['early', clock.now()]);
+      clock.setTimeout(function() {
+        calls.push(['nested', clock.now()]);
+      }, 20);
+    }, 10);
+
+    clock.advance(50);
+    expect(calls).to.deep.equal([['early', 10], ['nested', 30]]);
+    clock.advance(50);
+    expect(calls).to.have.lengthOf(3);
+  });
+
+  it('should not call cancelled timers', function() {
+    let clock = new Clock();
+    let called = false;
+    let handle = clock.setTimeout(function() {
+      called = true;
+    }, 10);
+    clock.clearTimeout(handle);
+    clock.advance(20);
+    expect(called).to.be.false;
+  });
+
+  it('should call animation frames every 16ms', function() {
+    let clock = new Clock(5);
+    let frames = [];
+    let frame = function(time) {
+      frames.push(time);
+      if (frames.length < 3) {
+        clock.requestAnimationFrame(frame);
+      }
+    };
+    clock.requestAnimationFrame(frame);
+    clock.advance(100);
+    expect(frames).to.deep.equal([16, 32, 48]);
+  });
+});
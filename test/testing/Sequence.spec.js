@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * @file Sequence.spec.js
+ * Tests Sequence class
+ */
+import Clock from './../../src/testing/Clock.js';
+import Sequence from './../../src/testing/Sequence.js';
+import testing from './../../src/testing/testing.js';
+import ZingTouch from './../../src/ZingTouch.js';
+
+testing.regions = ZingTouch._regions;
+
+/** @test {Sequence} */
+describe('Sequence', function() {
+  let element = document.createElement('div');
+  element.getBoundingClientRect = function() {
+    return {left: 0, top: 0, width: 200, height: 200};
+  };
+  let clock;
+  let region;
+
+  beforeEach(function() {
+    document.body.appendChild(element);
+    clock = new Clock();
+    region = new ZingTouch.Region(element, {clock: clock});
+  });
+
+  afterEach(function() {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  it('should be created by the testing harness', function() {
+    expect(testing.touch(element)).to.be.an.instanceof(Sequence);
+  });
+
+  it('should only feed the regions it is given', function() {
+    let taps = 0;
+    region.bind(element, 'tap', function() {
+      taps++;
+    });
+
+    new Sequence(element, 'touch').down(10, 10).up();
+    expect(taps).to.equal(0);
+    new Sequence(element, 'touch', {regions: [region]}).down(10, 10).up();
+    expect(taps).to.equal(1);
+  });
+
+  it('should throw an error without an element', function() {
+    expect(function() {
+      testing.touch(null);
+    }).to.throw('Sequence must contain an element');
+  });
+
+  it('should drive a pan over time', function() {
+    let phases = [];
+    region.bind(element, 'pan', function(e) {
+      phases.push(e.detail.phase);
+    });
+
+    let sequence = testing.touch(element)
+      .down(10, 10)
+      .moveTo(100, 10, {over: 64})
+      .up();
+    expect(clock.now()).to.equal(64);
+    expect(phases).to.deep.equal(
+      ['began', 'changed', 'changed', 'changed', 'ended']);
+    expect(sequence.events).to.have.lengthOf(6);
+    expect(sequence.events[1].defaultPrevented).to.be.true;
+    expect(region.state.inputs).to.be.empty;
+  });
+
+  it('should fire the ticks of the region while waiting', function() {
+    let intervals = [];
+    region.bind(element, 'press', function(e) {
+      intervals.push(e.detail.interval);
+    });
+
+    let sequence = testing.touch(element).down().wait(499);
+    expect(intervals).to.be.empty;
+    sequence.wait(1).up();
+    expect(intervals[0]).to.equal(500);
+  });
+
+  it('should list every touch on the screen', function() {
+    let phases = [];
+    region.bind(element, 'pinch', function(e) {
+      phases.push(e.detail.phase);
+    });
+
+    let first = testing.touch(element).down(10, 10);
+    let second = testing.touch(element).down(100, 10);
+    second.moveTo(190, 10);
+    expect(second.events[1].touches).to.have.lengthOf(2);
+    first.up();
+    second.up();
+    expect(second.events[2].touches).to.be.empty;
+    expect(phases).to.deep.equal(['began', 'ended']);
+  });
+
+  it('should feed mouse and pointer events', function() {
+    let taps = 0;
+    region.bind(element, 'tap', function() {
+      taps++;
+    });
+
+    testing.mouse(element).down(10, 10).up();
+    testing.pointer(element).down(10, 10).up();
+    expect(taps).to.equal(2);
+    expect(function() {
+      testing.mouse(element).down().cancel();
+    }).to.throw('cannot be cancelled');
+  });
+});
@@ -0,0 +1,3 @@
+require('./index.js');
+require('./dist/zingtouch-testing.min.js');
+module.exports = ZingTouch.testing;
@@ -6,11 +6,15 @@ const minimize = process.argv.indexOf('--minimize') !== -1;
 const dashboard = process.argv.indexOf('--dashboard') !== -1;
 
 const plugins = [];
-const filename = (minimize) ? 'zingtouch.min.js' : 'zingtouch.js';
+const filename = (minimize) ? '[name].min.js' : '[name].js';
 
 
 const config = {
-  entry: './src/core/main.js',
+  entry: {
+    'zingtouch': './src/core/main.js',
+    'zingtouch-testing': './src/testing/main.js',
+    'zingtouch-debug': './src/debug/main.js',
+  },
   output: {
     filename: filename,
   },